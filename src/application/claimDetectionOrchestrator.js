@@ -1,18 +1,23 @@
 import { ExchangeService } from '../infrastructure/email/exchangeService.js';
-import { OpenAIService } from '../infrastructure/ai/openaiService.js';
-import { LocalLLMService } from '../infrastructure/ai/localLLMService.js';
+import { createDefaultAIProviderRegistry } from '../infrastructure/ai/aiProviderRegistry.js';
 import { Database } from '../infrastructure/database/database.js';
+import { ClaimWriteBackService } from './claimWriteBackService.js';
+import { config } from '../config/config.js';
+import { getClaimTaxonomy } from '../config/claimTaxonomy.js';
 import fs from 'fs';
 import path from 'path';
 
 export class ClaimDetectionOrchestrator {
   constructor() {
     this.exchangeService = new ExchangeService();
-    this.openaiService = new OpenAIService();
-    this.localLLMService = new LocalLLMService();
+    this.aiProviders = createDefaultAIProviderRegistry();
     this.database = new Database();
+    this.claimWriteBackService = new ClaimWriteBackService(this.exchangeService, this.database);
     this.isRunning = false;
+    this.abortController = null;
+    this.currentRun = null;
     this.exclusionList = null;
+    this.lastReplyTimeCache = new Map();
   }
 
   async initialize() {
@@ -21,7 +26,6 @@ export class ClaimDetectionOrchestrator {
       
       await this.database.initialize();
       await this.exchangeService.initialize();
-      this.openaiService.initialize();
       this.loadExclusionList();
       
       console.log('All services initialized successfully');
@@ -38,82 +42,68 @@ export class ClaimDetectionOrchestrator {
     }
     
     const debugMode = options.debug || false;
-    const { days, hours, startDate, endDate, useLocalLLM, emailAddress, concurrency } = options;
-
-    // Local LLM使用時はサーバーを自動起動
-    if (useLocalLLM) {
-      console.log('🤖 Local LLM mode detected, starting ONNX NPU Server...');
-      const serverStarted = await this.localLLMService.startServer();
-      if (!serverStarted) {
-        throw new Error('Failed to start ONNX NPU Server');
-      }
-    }
-
-    // 同時実行数の設定
-    if (concurrency && !useLocalLLM) {
-      this.openaiService.setConcurrentLimit(concurrency);
-    } else if (concurrency) {
-      console.log(`⚠️  Concurrency setting ignored in Local LLM mode (concurrency=${concurrency})`);
-    }
+    const { emailAddress, concurrency } = options;
 
+    // プロバイダーの準備中も実行中として扱い、同時に開始された処理や shutdown() が準備の完了を待つようにする
     this.isRunning = true;
+    this.abortController = new AbortController();
+    let finishRun;
+    this.currentRun = new Promise(resolve => {
+      finishRun = resolve;
+    });
+    this.lastReplyTimeCache.clear();
+    this.exchangeService.resetRetryStats();
     const startTime = new Date();
     let emailsProcessed = 0;
     let claimsDetected = 0;
     let errors = null;
+    let warnings = null;
 
     try {
-      console.log('Starting email processing...');
+      // プロバイダーの準備（Local LLM使用時はサーバーを自動起動）
+      const aiService = this.getAIService(this.resolveProvider(options));
+      await aiService.prepare();
 
-      let emails;
-      if (emailAddress) {
-        console.log(`Fetching emails from specific mailbox: ${emailAddress}`);
-        if (days || hours || startDate || endDate) {
-          const dateRangeOptions = {};
-          
-          if (days) dateRangeOptions.daysAgo = days;
-          if (hours) dateRangeOptions.hoursAgo = hours;
-          if (startDate) dateRangeOptions.startDate = startDate;
-          if (endDate) dateRangeOptions.endDate = endDate;
-          
-          const dateRange = this.exchangeService.buildDateRange(dateRangeOptions);
-          emails = await this.exchangeService.getEmails(null, dateRange, emailAddress);
-        } else {
-          const lastProcessingTime = await this.database.getLastProcessingTime();
-          emails = await this.exchangeService.getEmails(lastProcessingTime, null, emailAddress);
-        }
-      } else if (days || hours || startDate || endDate) {
-        const dateRangeOptions = {};
-        
-        if (days) dateRangeOptions.daysAgo = days;
-        if (hours) dateRangeOptions.hoursAgo = hours;
-        if (startDate) dateRangeOptions.startDate = startDate;
-        if (endDate) dateRangeOptions.endDate = endDate;
-        
-        console.log('Using date range options:', dateRangeOptions);
-        emails = await this.exchangeService.getEmailsByDateRange(dateRangeOptions);
-      } else {
-        const lastProcessingTime = await this.database.getLastProcessingTime();
-        console.log('Last processing time:', lastProcessingTime);
-        emails = await this.exchangeService.getEmails(lastProcessingTime);
+      if (this.abortController.signal.aborted) {
+        errors = 'Processing cancelled before emails were fetched';
+        return { emailsProcessed: 0, claimsDetected: 0 };
       }
+
+      // 同時実行数の設定（--concurrency 未指定時はプロバイダーごとの設定値）
+      aiService.setConcurrentLimit(concurrency || aiService.defaultConcurrentLimit);
+
+      console.log('Starting email processing...');
+
+      const { emails, incrementalMailboxes, fetchReport } = await this.fetchEmails(options);
       
       console.log(`Retrieved ${emails.length} emails`);
+      // スレッド履歴は保存済みの過去メールから構築するため、取得方法によらず古い順に処理する
+      emails.sort((a, b) => new Date(a.receivedDateTime) - new Date(b.receivedDateTime));
+      warnings = this.buildFetchWarnings(fetchReport);
 
       if (emails.length === 0) {
         console.log('No new emails to process');
+        await this.commitSyncState(incrementalMailboxes, startTime, fetchReport);
+        await this.refreshThreadReplyTimes();
         return { emailsProcessed: 0, claimsDetected: 0 };
       }
 
       // 同時実行処理と逐次処理の分岐
-      if (!useLocalLLM && concurrency && concurrency > 1) {
-        // Azure OpenAI の同時実行処理
+      if (aiService.concurrentLimit > 1) {
         await this.processConcurrently(emails, options, debugMode, emailAddress);
       } else {
-        // 従来の逐次処理（Local LLM または concurrency=1）
+        // 従来の逐次処理（concurrency=1）
         await this.processSequentially(emails, options, debugMode, emailAddress);
       }
 
+      if (this.abortController.signal.aborted) {
+        // 未処理のメールが残っているため、差分取得の基準時刻・delta リンクは進めない
+        errors = 'Processing cancelled before all emails were analyzed';
+      } else {
+        await this.commitSyncState(incrementalMailboxes, startTime, fetchReport);
+        await this.refreshThreadReplyTimes();
+      }
+
       // 処理されたメール数とクレーム数を計算
       emailsProcessed = await this.countProcessedEmails(startTime);
       claimsDetected = await this.countDetectedClaims(startTime);
@@ -123,16 +113,24 @@ export class ClaimDetectionOrchestrator {
       errors = error.message;
       throw error;
     } finally {
-      const endTime = new Date();
-      await this.database.logProcessingRun(
-        startTime,
-        endTime,
-        emailsProcessed,
-        claimsDetected,
-        errors
-      );
-
-      this.isRunning = false;
+      try {
+        const endTime = new Date();
+        await this.database.logProcessingRun(
+          startTime,
+          endTime,
+          emailsProcessed,
+          claimsDetected,
+          errors,
+          warnings,
+          this.exchangeService.getRetryStats()
+        );
+      } finally {
+        // 処理ログの保存に失敗しても、次回の実行と shutdown() が止まらないよう実行状態は必ず戻す
+        this.isRunning = false;
+        this.abortController = null;
+        this.currentRun = null;
+        finishRun();
+      }
       
       console.log(`Processing completed. Processed: ${emailsProcessed}, Claims detected: ${claimsDetected}`);
     }
@@ -140,6 +138,169 @@ export class ClaimDetectionOrchestrator {
     return { emailsProcessed, claimsDetected };
   }
 
+  /**
+   * オプションに応じて処理対象のメールを取得
+   * @param {Object} options - processEmails のオプション
+   * @returns {Promise<{emails: Array, incrementalMailboxes: Array<string>, fetchReport: Object}>} メール配列、差分取得したメールボックス、取得結果の集計
+   */
+  async fetchEmails(options) {
+    const { days, hours, startDate, endDate, emailAddress, allMailboxes } = options;
+    const syncMode = options.syncMode || config.app.syncMode;
+    const fetchReport = { failedMailboxes: [], truncatedMailboxes: [], deltaLinks: [] };
+    let dateRange = null;
+
+    if (days || hours || startDate || endDate) {
+      const dateRangeOptions = {};
+      
+      if (days) dateRangeOptions.daysAgo = days;
+      if (hours) dateRangeOptions.hoursAgo = hours;
+      if (startDate) dateRangeOptions.startDate = startDate;
+      if (endDate) dateRangeOptions.endDate = endDate;
+      
+      console.log('Using date range options:', dateRangeOptions);
+      dateRange = this.exchangeService.buildDateRange(dateRangeOptions);
+    }
+
+    if (syncMode === 'delta') {
+      if (!dateRange) {
+        const mailboxes = allMailboxes
+          ? this.exchangeService.getAllMailboxAddresses()
+          : [emailAddress || config.exchange.mailboxEmail];
+        return await this.fetchEmailsByDelta(mailboxes, fetchReport);
+      }
+      console.log('Date range specified, using date filter instead of delta sync for this run');
+    }
+
+    if (allMailboxes) {
+      const mailboxes = this.exchangeService.getAllMailboxAddresses();
+      console.log(`Fetching emails from all mailboxes: ${mailboxes.join(', ')}`);
+
+      if (dateRange) {
+        const emails = await this.exchangeService.getAllMailboxEmails(null, dateRange, fetchReport);
+        return { emails, incrementalMailboxes: [], fetchReport };
+      }
+
+      const lastCheckDates = {};
+      for (const mailbox of mailboxes) {
+        lastCheckDates[mailbox] = await this.getMailboxLastProcessingTime(mailbox);
+        console.log(`Last processing time (${mailbox}):`, lastCheckDates[mailbox]);
+      }
+
+      const emails = await this.exchangeService.getAllMailboxEmails(lastCheckDates, null, fetchReport);
+      return {
+        emails,
+        incrementalMailboxes: mailboxes.filter(mailbox => !fetchReport.failedMailboxes.includes(mailbox)),
+        fetchReport
+      };
+    }
+
+    const targetMailbox = emailAddress || config.exchange.mailboxEmail;
+    if (emailAddress) {
+      console.log(`Fetching emails from specific mailbox: ${emailAddress}`);
+    }
+
+    if (dateRange) {
+      const emails = await this.exchangeService.getEmails(null, dateRange, targetMailbox, fetchReport);
+      return { emails, incrementalMailboxes: [], fetchReport };
+    }
+
+    const lastProcessingTime = await this.getMailboxLastProcessingTime(targetMailbox);
+    console.log('Last processing time:', lastProcessingTime);
+    const emails = await this.exchangeService.getEmails(lastProcessingTime, null, targetMailbox, fetchReport);
+    return { emails, incrementalMailboxes: [targetMailbox], fetchReport };
+  }
+
+  /**
+   * messages/delta を使用してメールボックス・フォルダーごとの差分メールを取得
+   * @param {Array<string>} mailboxes - 対象メールボックス
+   * @param {Object} fetchReport - 取得結果の集計先
+   */
+  async fetchEmailsByDelta(mailboxes, fetchReport) {
+    const emailsById = new Map();
+
+    for (const mailbox of mailboxes) {
+      const sinceDate = await this.getMailboxLastProcessingTime(mailbox);
+
+      for (const folder of config.exchange.syncFolders) {
+        try {
+          const storedLink = await this.database.getDeltaLink(mailbox, folder);
+          const { emails, deltaLink } = await this.exchangeService.getEmailsByDelta(mailbox, folder, storedLink, sinceDate, fetchReport);
+
+          emails.forEach(email => emailsById.set(email.id, email));
+          if (deltaLink) {
+            fetchReport.deltaLinks.push({ mailbox, folder, deltaLink });
+          }
+        } catch (error) {
+          console.error(`Error in delta sync for ${mailbox}/${folder}:`, error);
+          if (!fetchReport.failedMailboxes.includes(mailbox)) {
+            fetchReport.failedMailboxes.push(mailbox);
+          }
+        }
+      }
+    }
+
+    return {
+      emails: [...emailsById.values()],
+      incrementalMailboxes: mailboxes.filter(mailbox => !fetchReport.failedMailboxes.includes(mailbox)),
+      fetchReport
+    };
+  }
+
+  /**
+   * 処理完了後に差分取得の状態（最終処理時刻・delta リンク）を保存
+   */
+  async commitSyncState(incrementalMailboxes, processedAt, fetchReport) {
+    await this.updateMailboxLastProcessingTimes(incrementalMailboxes, processedAt, fetchReport);
+
+    for (const { mailbox, folder, deltaLink } of fetchReport.deltaLinks) {
+      await this.database.saveDeltaLink(mailbox, folder, deltaLink);
+    }
+  }
+
+  /**
+   * メールボックスの最終処理時刻を取得（未記録の場合は全体の最終処理時刻）
+   */
+  async getMailboxLastProcessingTime(mailbox) {
+    const mailboxLastProcessingTime = await this.database.getMailboxLastProcessingTime(mailbox);
+    return mailboxLastProcessingTime || await this.database.getLastProcessingTime();
+  }
+
+  /**
+   * 差分取得したメールボックスの最終処理時刻を更新
+   * 取得上限に達したメールボックスは、取得できた最新メールの受信日時までに留め、残りを次回取得する
+   */
+  async updateMailboxLastProcessingTimes(mailboxes, processedAt, fetchReport) {
+    for (const mailbox of mailboxes) {
+      const truncated = fetchReport.truncatedMailboxes.find(entry => entry.mailbox === mailbox);
+      let watermark = processedAt;
+
+      if (truncated) {
+        if (!truncated.lastReceivedDateTime) {
+          continue;
+        }
+        watermark = new Date(new Date(truncated.lastReceivedDateTime).getTime() - 1);
+      }
+
+      await this.database.updateMailboxLastProcessingTime(mailbox, watermark);
+    }
+  }
+
+  /**
+   * 取得上限に達したメールボックスの警告メッセージを生成
+   */
+  buildFetchWarnings(fetchReport) {
+    if (fetchReport.truncatedMailboxes.length === 0) {
+      return null;
+    }
+
+    return fetchReport.truncatedMailboxes.map(({ mailbox, fetchedCount, isIncremental }) => {
+      const remaining = isIncremental
+        ? 'remaining messages will be fetched in the next run'
+        : 'remaining messages in the date range were left unprocessed';
+      return `Email cap (MAX_EMAILS_PER_RUN=${config.app.maxEmailsPerRun}) reached for ${mailbox}: fetched ${fetchedCount} messages, ${remaining}`;
+    }).join('\n');
+  }
+
   async getClaims(filters = {}) {
     try {
       const claims = await this.database.getClaims(filters);
@@ -151,6 +312,7 @@ export class ClaimDetectionOrchestrator {
         senderName: row.sender_name,
         receivedDateTime: row.received_date_time,
         bodyContent: row.body_content,
+        mailboxSource: row.mailbox_source,
         isClaim: Boolean(row.is_claim),
         confidence: row.confidence,
         category: row.category,
@@ -158,6 +320,7 @@ export class ClaimDetectionOrchestrator {
         reason: row.reason,
         keywords: JSON.parse(row.keywords || '[]'),
         summary: row.summary,
+        promptVersion: row.prompt_version,
         analyzedAt: row.analyzed_at
       }));
     } catch (error) {
@@ -175,16 +338,16 @@ export class ClaimDetectionOrchestrator {
     }
   }
 
-  async generateReport(useLocalLLM = false) {
+  /**
+   * @param {string} provider - AI プロバイダー名（省略時は AI_PROVIDER）
+   */
+  async generateReport(provider) {
     try {
+      const aiService = this.getAIService(provider);
+      await aiService.prepare();
       const claims = await this.getClaims({ limit: 100 });
-      if (useLocalLLM) {
-        console.log('Using Local LLM for report generation...');
-        return await this.localLLMService.generateClaimReport(claims);
-      } else {
-        console.log('Using Azure OpenAI for report generation...');
-        return await this.openaiService.generateClaimReport(claims);
-      }
+      console.log(`Using ${aiService.getServiceName()} for report generation...`);
+      return await aiService.generateClaimReport(claims);
     } catch (error) {
       console.error('Error generating report:', error);
       throw error;
@@ -200,6 +363,99 @@ export class ClaimDetectionOrchestrator {
     }
   }
 
+  /**
+   * 会話スレッドごとのエスカレーション状況を取得
+   * @param {Object} filters - フィルター（limit, mailbox, minFollowUps）
+   * @returns {Promise<Array>} 催促回数の多い順のスレッド一覧
+   */
+  async getThreadEscalations(filters = {}) {
+    try {
+      const rows = await this.database.getThreadsWithEmails(filters);
+      const threads = new Map();
+
+      for (const row of rows) {
+        if (!threads.has(row.thread_id)) {
+          threads.set(row.thread_id, {
+            threadId: row.thread_id,
+            conversationId: row.conversation_id,
+            mailboxSource: row.mailbox_source,
+            subject: row.thread_subject,
+            firstReceivedAt: row.first_received_at,
+            lastReceivedAt: row.last_received_at,
+            lastReplyAt: row.last_reply_at,
+            messages: []
+          });
+        }
+
+        threads.get(row.thread_id).messages.push({
+          subject: row.subject,
+          senderEmail: row.sender_email,
+          senderName: row.sender_name,
+          receivedDateTime: row.received_date_time,
+          isClaim: Boolean(row.is_claim),
+          category: row.category,
+          severity: row.severity
+        });
+      }
+
+      const minFollowUps = filters.minFollowUps || 0;
+      return [...threads.values()]
+        .map(thread => this.buildThreadEscalation(thread))
+        .filter(thread => thread.followUps >= minFollowUps)
+        .sort((a, b) => b.followUps - a.followUps || new Date(b.lastReceivedAt) - new Date(a.lastReceivedAt));
+    } catch (error) {
+      console.error('Error getting thread escalations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * スレッド内のメールから催促回数・返信待ち時間・重要度の推移を算出
+   */
+  buildThreadEscalation(thread) {
+    const taxonomy = getClaimTaxonomy();
+    const now = Date.now();
+    const lastReplyTime = thread.lastReplyAt ? new Date(thread.lastReplyAt).getTime() : null;
+
+    const unansweredMessages = thread.messages.filter(message =>
+      !lastReplyTime || new Date(message.receivedDateTime).getTime() > lastReplyTime
+    );
+    const severityTrail = thread.messages.map(message => message.isClaim ? message.severity : 'none');
+    const claimSeverities = severityTrail.filter(severity => severity !== 'none');
+
+    const firstSeverity = claimSeverities[0];
+    const lastSeverity = claimSeverities[claimSeverities.length - 1];
+    const isEscalating = unansweredMessages.length > 1 ||
+      (claimSeverities.length > 1 && taxonomy.getSeverityRank(lastSeverity) > taxonomy.getSeverityRank(firstSeverity));
+
+    return {
+      ...thread,
+      messageCount: thread.messages.length,
+      followUps: Math.max(thread.messages.length - 1, 0),
+      unansweredCount: unansweredMessages.length,
+      hoursSinceLastReply: lastReplyTime ? (now - lastReplyTime) / 3600000 : null,
+      hoursWaiting: unansweredMessages.length > 0
+        ? (now - new Date(unansweredMessages[0].receivedDateTime).getTime()) / 3600000
+        : 0,
+      severityTrail,
+      isEscalating
+    };
+  }
+
+  /**
+   * 認証状態（キャッシュされているアカウントとトークンの有効期限）を取得
+   */
+  async getAuthStatus() {
+    return await this.exchangeService.getAuthStatus();
+  }
+
+  /**
+   * キャッシュされているアカウントからサインアウト
+   */
+  async logout() {
+    return await this.exchangeService.logout();
+  }
+
   async getRecentProcessingLogs(limit = 10) {
     const query = `
       SELECT * FROM processing_log 
@@ -262,49 +518,118 @@ export class ClaimDetectionOrchestrator {
     return false;
   }
 
+  /**
+   * 使用する AI サービスを取得
+   * @param {string} provider - AI プロバイダー名（省略時は AI_PROVIDER）
+   * @returns {BaseAIService} AI サービス
+   */
+  getAIService(provider = config.ai.provider) {
+    return this.aiProviders.get(provider);
+  }
+
+  getAIProviderNames() {
+    return this.aiProviders.names;
+  }
+
+  /**
+   * 処理オプションから AI プロバイダー名を取得（従来の useLocalLLM も受け付ける）
+   */
+  resolveProvider(options) {
+    return options.provider || (options.useLocalLLM ? 'local' : config.ai.provider);
+  }
+
+  /**
+   * ONNX NPU サーバーの管理（server コマンド）に使用するローカルLLMサービス
+   */
+  get localLLMService() {
+    return this.aiProviders.get('local');
+  }
+
+  /**
+   * 未処理メールの詳細をまとめて取得（一覧取得時の内容を再利用し、不足分のみ $batch で取得）
+   * @returns {Promise<Map<string, {email: Object}|{error: Error}>>} メールIDごとの取得結果（処理済みのメールは含まない）
+   */
+  async fetchEmailDetails(emails, emailAddress) {
+    const unprocessedEmails = [];
+    for (const email of emails) {
+      if (!(await this.database.isEmailProcessed(email.id))) {
+        unprocessedEmails.push(email);
+      }
+    }
+
+    return await this.exchangeService.getEmailDetailsBatch(unprocessedEmails, emailAddress);
+  }
+
   /**
    * 同時実行でメールを処理
    */
   async processConcurrently(emails, options, debugMode, emailAddress) {
-    console.log(`🔄 Processing ${emails.length} emails concurrently with Azure OpenAI...`);
+    const aiService = this.getAIService(this.resolveProvider(options));
+    console.log(`🔄 Processing ${emails.length} emails concurrently with ${aiService.getServiceName()}...`);
     
     // 未処理メールのフィルタリング
+    const detailsById = await this.fetchEmailDetails(emails, emailAddress);
     const unprocessedEmails = [];
     for (const email of emails) {
-      const isProcessed = await this.database.isEmailProcessed(email.id);
-      if (!isProcessed) {
-        const emailDetails = await this.exchangeService.getEmailDetails(email.id, emailAddress || email.mailboxSource);
-        const emailText = this.exchangeService.extractTextFromEmail(emailDetails);
-        const senderEmail = emailDetails.from?.emailAddress?.address || '';
-        const senderName = emailDetails.from?.emailAddress?.name || '';
-
-        // メールをデータベースに保存
-        emailDetails.bodyContent = emailText;
-        const savedEmailId = await this.database.saveEmail(emailDetails);
+      if (this.abortController?.signal.aborted) {
+        break;
+      }
 
-        // 除外チェック
-        if (this.shouldExcludeFromClaimDetection(senderEmail, emailDetails.subject)) {
-          console.log(`Email from ${senderEmail} excluded from claim detection`);
-          const excludedResult = {
-            isClaim: false,
-            confidence: 0,
-            category: 'excluded',
-            severity: 'none',
-            reason: 'Email excluded from claim detection due to sender/subject filters',
-            keywords: [],
-            summary: 'Excluded from analysis'
-          };
-          await this.database.saveClaim(savedEmailId, excludedResult);
-        } else if (emailText.trim()) {
-          unprocessedEmails.push({
-            id: savedEmailId,
-            emailId: email.id,
-            subject: emailDetails.subject,
-            bodyContent: emailText,
-            senderEmail: senderEmail,
-            senderName: senderName
-          });
+      let pendingEmailId = null;
+      try {
+        const details = detailsById.get(email.id);
+        if (details) {
+          if (details.error) {
+            throw details.error;
+          }
+          const emailDetails = details.email;
+          // 本文全体は保存し、分析には引用部分・署名を除いた新規部分のみを使用
+          const { fullText, analysisText: emailText } = this.exchangeService.extractEmailContent(emailDetails);
+          const senderEmail = emailDetails.from?.emailAddress?.address || '';
+          const senderName = emailDetails.from?.emailAddress?.name || '';
+
+          // メールをデータベースに保存
+          emailDetails.bodyContent = fullText;
+          emailDetails.newContent = emailText;
+          const savedEmailId = await this.saveEmailWithThread(emailDetails);
+          pendingEmailId = savedEmailId;
+
+          // 除外チェック
+          const isExcluded = this.shouldExcludeFromClaimDetection(senderEmail, emailDetails.subject);
+          const attachmentContext = isExcluded ? null : await this.buildAttachmentContext(emailDetails, savedEmailId);
+
+          if (isExcluded) {
+            console.log(`Email from ${senderEmail} excluded from claim detection`);
+            const excludedResult = {
+              isClaim: false,
+              confidence: 0,
+              category: 'excluded',
+              severity: 'none',
+              reason: 'Email excluded from claim detection due to sender/subject filters',
+              keywords: [],
+              summary: 'Excluded from analysis'
+            };
+            await this.database.saveClaim(savedEmailId, excludedResult);
+          } else if (emailText.trim() || attachmentContext) {
+            unprocessedEmails.push({
+              id: savedEmailId,
+              emailId: email.id,
+              subject: emailDetails.subject,
+              bodyContent: emailText,
+              senderEmail: senderEmail,
+              senderName: senderName,
+              threadContext: await this.buildThreadContext(emailDetails, options),
+              attachmentContext: attachmentContext,
+              mailboxSource: emailDetails.mailboxSource,
+              categories: emailDetails.categories
+            });
+          }
+          pendingEmailId = null;
         }
+      } catch (emailError) {
+        // 1通の取得・保存エラー（リトライ上限に達したスロットリングなど）でバッチ全体を中断しない
+        console.error(`Error processing email ${email.id}:`, emailError);
+        await this.discardUnsavedEmail(pendingEmailId);
       }
     }
 
@@ -313,19 +638,44 @@ export class ClaimDetectionOrchestrator {
       return;
     }
 
-    // 同時実行で分析
-    const analysisResults = await this.openaiService.analyzeEmailsConcurrently(unprocessedEmails, debugMode);
-    
-    // 結果をデータベースに保存
-    for (const { emailId, result } of analysisResults) {
-      await this.database.saveClaim(emailId, result);
-      
-      if (result.isClaim) {
-        console.log(`CLAIM DETECTED - Confidence: ${result.confidence}%, Category: ${result.category}, Severity: ${result.severity}`);
-        console.log(`Reason: ${result.reason}`);
-        console.log(`Keywords: ${result.keywords.join(', ')}`);
-        console.log(`Summary: ${result.summary}`);
-        console.log('---');
+    // 同時実行で分析し、完了したものから順に保存
+    const signal = this.abortController?.signal;
+    const emailsById = new Map(unprocessedEmails.map(email => [email.id, email]));
+    const savedEmailIds = new Set();
+
+    await aiService.analyzeEmailsConcurrently(unprocessedEmails, debugMode, {
+      signal,
+      onResult: async ({ emailId, result }) => {
+        const claimId = await this.database.saveClaim(emailId, result);
+        savedEmailIds.add(emailId);
+        const analyzedEmail = emailsById.get(emailId);
+        await this.writeBackResult({
+          id: analyzedEmail.emailId,
+          mailboxSource: analyzedEmail.mailboxSource,
+          subject: analyzedEmail.subject,
+          categories: analyzedEmail.categories
+        }, claimId, result, options);
+
+        if (result.isClaim) {
+          console.log(`CLAIM DETECTED - Confidence: ${result.confidence}%, Category: ${result.category}, Severity: ${result.severity}`);
+          console.log(`Reason: ${result.reason}`);
+          console.log(`Keywords: ${result.keywords.join(', ')}`);
+          console.log(`Summary: ${result.summary}`);
+          console.log('---');
+        }
+      }
+    });
+
+    // 中断された、または分析結果を保存できなかったメールは、次回の実行で処理されるよう削除する
+    const unsavedEmailIds = unprocessedEmails
+      .map(email => email.id)
+      .filter(emailId => !savedEmailIds.has(emailId));
+    if (unsavedEmailIds.length > 0) {
+      await this.database.discardEmails(unsavedEmailIds);
+      if (signal?.aborted) {
+        console.log(`🛑 Processing cancelled, ${unsavedEmailIds.length} emails will be processed in the next run`);
+      } else {
+        console.warn(`⚠️ Analysis results of ${unsavedEmailIds.length} emails could not be saved, they will be processed in the next run`);
       }
     }
   }
@@ -334,28 +684,46 @@ export class ClaimDetectionOrchestrator {
    * 逐次処理でメールを処理（従来の方法）
    */
   async processSequentially(emails, options, debugMode, emailAddress) {
+    const aiService = this.getAIService(this.resolveProvider(options));
     console.log(`🔄 Processing ${emails.length} emails sequentially...`);
-    
+
+    const detailsById = await this.fetchEmailDetails(emails, emailAddress);
+
     for (const email of emails) {
+      if (this.abortController?.signal.aborted) {
+        console.log('🛑 Processing cancelled, remaining emails will be processed in the next run');
+        break;
+      }
+
+      let pendingEmailId = null;
       try {
-        const isProcessed = await this.database.isEmailProcessed(email.id);
-        if (isProcessed) {
+        const details = detailsById.get(email.id);
+        if (!details) {
           console.log(`Email ${email.id} already processed, skipping...`);
           continue;
         }
+        if (details.error) {
+          throw details.error;
+        }
 
         console.log(`Processing email: ${email.subject}`);
         
-        const emailDetails = await this.exchangeService.getEmailDetails(email.id, emailAddress || email.mailboxSource);
-        const emailText = this.exchangeService.extractTextFromEmail(emailDetails);
+        const emailDetails = details.email;
+        // 本文全体は保存し、分析には引用部分・署名を除いた新規部分のみを使用
+        const { fullText, analysisText: emailText } = this.exchangeService.extractEmailContent(emailDetails);
         
         const senderEmail = emailDetails.from?.emailAddress?.address || '';
         const senderName = emailDetails.from?.emailAddress?.name || '';
 
-        emailDetails.bodyContent = emailText;
-        const savedEmailId = await this.database.saveEmail(emailDetails);
+        emailDetails.bodyContent = fullText;
+        emailDetails.newContent = emailText;
+        const savedEmailId = await this.saveEmailWithThread(emailDetails);
+        pendingEmailId = savedEmailId;
 
-        if (this.shouldExcludeFromClaimDetection(senderEmail, emailDetails.subject)) {
+        const isExcluded = this.shouldExcludeFromClaimDetection(senderEmail, emailDetails.subject);
+        const attachmentContext = isExcluded ? null : await this.buildAttachmentContext(emailDetails, savedEmailId);
+
+        if (isExcluded) {
           console.log(`Email from ${senderEmail} excluded from claim detection (bulk/automated email)`);
           const excludedResult = {
             isClaim: false,
@@ -367,29 +735,22 @@ export class ClaimDetectionOrchestrator {
             summary: 'Excluded from analysis'
           };
           await this.database.saveClaim(savedEmailId, excludedResult);
-        } else if (emailText.trim()) {
+          pendingEmailId = null;
+        } else if (emailText.trim() || attachmentContext) {
           console.log(`Analyzing email for claims...`);
-          let analysisResult;
-          
-          if (options.useLocalLLM) {
-            console.log('Using Local LLM for analysis...');
-            analysisResult = await this.localLLMService.analyzeEmailForClaim(
-              emailText,
-              emailDetails.subject,
-              `${senderName} <${senderEmail}>`,
-              debugMode
-            );
-          } else {
-            console.log('Using Azure OpenAI for analysis...');
-            analysisResult = await this.openaiService.analyzeEmailForClaim(
-              emailText,
-              emailDetails.subject,
-              `${senderName} <${senderEmail}>`,
-              debugMode
-            );
-          }
-
-          await this.database.saveClaim(savedEmailId, analysisResult);
+          const threadContext = await this.buildThreadContext(emailDetails, options);
+          console.log(`Using ${aiService.getServiceName()} for analysis...`);
+          const analysisResult = await aiService.analyzeEmailForClaim(
+            emailText,
+            emailDetails.subject,
+            `${senderName} <${senderEmail}>`,
+            debugMode,
+            { threadContext, attachmentContext }
+          );
+
+          const claimId = await this.database.saveClaim(savedEmailId, analysisResult);
+          pendingEmailId = null;
+          await this.writeBackResult(emailDetails, claimId, analysisResult, options);
 
           if (analysisResult.isClaim) {
             console.log(`CLAIM DETECTED - Confidence: ${analysisResult.confidence}%, Category: ${analysisResult.category}, Severity: ${analysisResult.severity}`);
@@ -402,14 +763,161 @@ export class ClaimDetectionOrchestrator {
           }
         }
         
-        await this.delay(1000);
+        await this.delay(aiService.requestDelayMs, this.abortController?.signal);
 
       } catch (emailError) {
         console.error(`Error processing email ${email.id}:`, emailError);
+        await this.discardUnsavedEmail(pendingEmailId);
       }
     }
   }
 
+  /**
+   * 保存したが分析結果を保存できなかったメールを削除し、次回の実行で再度処理されるようにする
+   * @param {number|null} emailId - emails テーブルのID（null の場合は何もしない）
+   */
+  async discardUnsavedEmail(emailId) {
+    if (!emailId) {
+      return;
+    }
+
+    try {
+      await this.database.discardEmails([emailId]);
+    } catch (error) {
+      console.error(`Could not discard email ${emailId}:`, error);
+    }
+  }
+
+  /**
+   * 判定結果を Exchange のメールに書き戻す（WRITE_BACK_ENABLED または dry-run 時のみ）
+   * @param {Object} message - 対象メール { id, mailboxSource, subject, categories }
+   */
+  async writeBackResult(message, claimId, analysisResult, options) {
+    const dryRun = options.writeBackDryRun || config.writeBack.dryRun;
+    if (!config.writeBack.enabled && !dryRun) {
+      return;
+    }
+
+    await this.claimWriteBackService.apply(message, claimId, analysisResult, dryRun);
+  }
+
+  /**
+   * メールを保存し、会話スレッドに紐付ける
+   */
+  async saveEmailWithThread(emailDetails) {
+    if (emailDetails.conversationId) {
+      const cacheKey = `${emailDetails.mailboxSource}:${emailDetails.conversationId}`;
+      if (!this.lastReplyTimeCache.has(cacheKey)) {
+        const lastReplyAt = await this.exchangeService.getLastReplyTime(emailDetails.conversationId, emailDetails.mailboxSource);
+        this.lastReplyTimeCache.set(cacheKey, lastReplyAt);
+      }
+
+      emailDetails.threadId = await this.database.upsertThread(emailDetails, this.lastReplyTimeCache.get(cacheKey));
+    }
+
+    return await this.database.saveEmail(emailDetails);
+  }
+
+  /**
+   * 返信待ちのスレッドの最終返信日時を送信済みアイテムから更新
+   * 新しいメールが届かない間に返信した場合も、threads コマンドの返信待ち時間・催促数に反映されるようにする
+   */
+  async refreshThreadReplyTimes() {
+    try {
+      const threads = await this.database.getThreadsAwaitingReply();
+      let updated = 0;
+
+      for (const thread of threads) {
+        const cacheKey = `${thread.mailbox_source}:${thread.conversation_id}`;
+        if (this.lastReplyTimeCache.has(cacheKey)) {
+          continue;
+        }
+
+        const lastReplyAt = await this.exchangeService.getLastReplyTime(thread.conversation_id, thread.mailbox_source || null);
+        this.lastReplyTimeCache.set(cacheKey, lastReplyAt);
+
+        if (lastReplyAt && (!thread.last_reply_at || lastReplyAt > new Date(thread.last_reply_at))) {
+          await this.database.updateThreadLastReplyAt(thread.id, lastReplyAt);
+          updated++;
+        }
+      }
+
+      if (updated > 0) {
+        console.log(`Updated last reply time of ${updated} threads`);
+      }
+    } catch (error) {
+      // 返信日時の更新に失敗しても処理結果には影響させない
+      console.warn('Could not refresh thread reply times:', error.message);
+    }
+  }
+
+  /**
+   * 分析プロンプトに含めるスレッド履歴（同じメールボックスに届いた同じ会話の過去メール）を構築
+   * @returns {Promise<Object|null>} スレッド情報（無効な場合や会話IDがない場合はnull）
+   */
+  async buildThreadContext(emailDetails, options) {
+    const enabled = options.threadContext ?? config.analysis.threadContextEnabled;
+    if (!enabled || !emailDetails.threadId) {
+      return null;
+    }
+
+    const history = await this.database.getThreadHistory(
+      emailDetails.threadId,
+      emailDetails.receivedDateTime,
+      emailDetails.id,
+      config.analysis.threadContextMaxMessages
+    );
+    const thread = await this.database.getThreadByConversationId(emailDetails.conversationId, emailDetails.mailboxSource);
+
+    return {
+      history: history.map(row => ({
+        receivedDateTime: row.received_date_time,
+        sender: `${row.sender_name} <${row.sender_email}>`,
+        subject: row.subject,
+        body: row.new_content || row.body_content
+      })),
+      lastReplyAt: thread?.last_reply_at || null,
+      maxTokens: config.analysis.threadContextMaxTokens
+    };
+  }
+
+  /**
+   * 添付ファイルのテキストを抽出して保存し、分析プロンプト用の抜粋情報を構築
+   * @returns {Promise<Object|null>} 添付ファイル情報（無効な場合や対象の添付ファイルがない場合はnull）
+   */
+  async buildAttachmentContext(emailDetails, savedEmailId) {
+    if (!config.analysis.attachmentAnalysisEnabled || !emailDetails.hasAttachments) {
+      return null;
+    }
+
+    let attachments;
+    try {
+      attachments = await this.exchangeService.getEmailAttachments(emailDetails.id, emailDetails.mailboxSource);
+      await this.database.saveAttachments(savedEmailId, attachments);
+    } catch (error) {
+      console.warn(`Could not process attachments of email ${emailDetails.id}:`, error.message);
+      return null;
+    }
+
+    const visibleAttachments = attachments.filter(attachment => !attachment.isInline);
+    if (visibleAttachments.length === 0) {
+      return null;
+    }
+
+    console.log(`📎 ${visibleAttachments.length} attachment(s), text extracted from ${visibleAttachments.filter(attachment => attachment.extractedText).length}`);
+
+    return {
+      attachments: visibleAttachments.map(attachment => ({
+        name: attachment.name,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        extractionStatus: attachment.extractionStatus,
+        text: attachment.extractedText
+      })),
+      maxTokens: config.analysis.attachmentExcerptMaxTokens
+    };
+  }
+
   /**
    * 指定時間以降に処理されたメール数を取得
    */
@@ -445,18 +953,52 @@ export class ClaimDetectionOrchestrator {
     });
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * 待機時間
+   * @param {number} ms - ミリ秒
+   * @param {AbortSignal} signal - キャンセル用のシグナル（中断時は待機を打ち切り、次のメールの前で処理を終了させる）
+   */
+  delay(ms, signal = null) {
+    return new Promise(resolve => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * 実行中の処理をキャンセル（分析を開始していないメールは次回の実行で処理される）
+   */
+  cancelProcessing() {
+    if (this.isRunning && !this.abortController.signal.aborted) {
+      console.log('Cancelling the current processing run...');
+      this.abortController.abort();
+    }
   }
 
   async shutdown() {
     console.log('Shutting down services...');
-    
-    // Local LLM サーバーを停止
-    if (this.localLLMService) {
-      await this.localLLMService.stopServer();
+
+    // 実行中の処理をキャンセルし、結果の保存が終わるまで待ってからデータベースを閉じる
+    if (this.isRunning) {
+      this.cancelProcessing();
+      await this.currentRun;
     }
     
+    // AI プロバイダーの後処理（Local LLM サーバーの停止など）
+    await this.aiProviders.shutdown();
+    
     // データベースを閉じる
     if (this.database) {
       await this.database.close();
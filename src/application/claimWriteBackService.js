@@ -0,0 +1,133 @@
+import { config } from '../config/config.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 判定結果を Exchange のメールに書き戻す（Outlook の分類項目・フラグ・フォルダー移動）
+ */
+export class ClaimWriteBackService {
+  /**
+   * @param {ExchangeService} exchangeService - Graph API 操作に使用するサービス
+   * @param {Database} database - 書き戻し結果の記録に使用するデータベース
+   */
+  constructor(exchangeService, database) {
+    this.exchangeService = exchangeService;
+    this.database = database;
+    this.rules = null;
+  }
+
+  loadRules() {
+    const emptyRules = { minConfidence: 0, severity: {}, category: {}, moveToFolder: null };
+
+    try {
+      const rulesPath = path.resolve(process.cwd(), config.writeBack.rulesPath);
+      if (fs.existsSync(rulesPath)) {
+        const rulesData = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        this.rules = { ...emptyRules, ...rulesData.writeBack };
+        console.log('Write-back rules loaded successfully');
+      } else {
+        console.log(`No write-back rules found at ${rulesPath}, nothing will be written back`);
+        this.rules = emptyRules;
+      }
+    } catch (error) {
+      console.error('Error loading write-back rules:', error);
+      this.rules = emptyRules;
+    }
+  }
+
+  /**
+   * 判定結果に対応する書き戻し内容を決定
+   * 重要度ごとの設定とカテゴリごとの設定をマージする（分類項目は和集合、移動先はカテゴリの設定を優先）
+   * @param {Object} analysisResult - 分析結果
+   * @returns {{categories: Array<string>, flag: boolean, moveToFolder: string|null}|null} 書き戻し内容（対象外の場合はnull）
+   */
+  resolveActions(analysisResult) {
+    if (!this.rules) {
+      this.loadRules();
+    }
+
+    if (!analysisResult.isClaim || analysisResult.confidence < this.rules.minConfidence) {
+      return null;
+    }
+
+    const severityRule = this.rules.severity[analysisResult.severity] || {};
+    const categoryRule = this.rules.category[analysisResult.category] || {};
+
+    const actions = {
+      categories: [...new Set([...(severityRule.categories || []), ...(categoryRule.categories || [])])],
+      flag: Boolean(severityRule.flag || categoryRule.flag),
+      moveToFolder: categoryRule.moveToFolder || severityRule.moveToFolder || this.rules.moveToFolder || null
+    };
+
+    if (actions.categories.length === 0 && !actions.flag && !actions.moveToFolder) {
+      return null;
+    }
+
+    return actions;
+  }
+
+  /**
+   * 判定結果をメールに書き戻す
+   * @param {Object} message - 対象メール { id, mailboxSource, subject, categories }
+   * @param {number} claimId - claims テーブルのID
+   * @param {Object} analysisResult - 分析結果
+   * @param {boolean} dryRun - trueの場合は書き戻し内容の表示のみ行う
+   */
+  async apply(message, claimId, analysisResult, dryRun = false) {
+    const actions = this.resolveActions(analysisResult);
+    if (!actions) {
+      return;
+    }
+
+    const description = this.describeActions(actions);
+
+    if (dryRun) {
+      console.log(`[dry-run] Write-back for "${message.subject}": ${description}`);
+      await this.database.updateClaimWriteBackStatus(claimId, `dry_run: ${description}`);
+      return;
+    }
+
+    try {
+      const properties = {};
+      if (actions.categories.length > 0) {
+        // 既存の分類項目は残して追加する
+        properties.categories = [...new Set([...(message.categories || []), ...actions.categories])];
+      }
+      if (actions.flag) {
+        properties.flag = { flagStatus: 'flagged' };
+      }
+
+      if (Object.keys(properties).length > 0) {
+        await this.exchangeService.updateMessage(message.id, properties, message.mailboxSource);
+      }
+
+      // 移動するとメッセージIDが変わるため最後に行い、次回以降も処理済みと判定されるよう新しいIDを保存する
+      if (actions.moveToFolder) {
+        const movedMessage = await this.exchangeService.moveMessage(message.id, actions.moveToFolder, message.mailboxSource);
+        if (movedMessage?.id && movedMessage.id !== message.id) {
+          await this.database.updateEmailMessageId(message.id, movedMessage.id);
+        }
+      }
+
+      console.log(`✏️  Written back to Exchange: ${description}`);
+      await this.database.updateClaimWriteBackStatus(claimId, `applied: ${description}`);
+    } catch (error) {
+      console.error(`Error writing back result for email ${message.id}:`, error.message);
+      await this.database.updateClaimWriteBackStatus(claimId, `failed: ${error.message}`);
+    }
+  }
+
+  describeActions(actions) {
+    const parts = [];
+    if (actions.categories.length > 0) {
+      parts.push(`categories=${actions.categories.join(', ')}`);
+    }
+    if (actions.flag) {
+      parts.push('flagged');
+    }
+    if (actions.moveToFolder) {
+      parts.push(`moved to ${actions.moveToFolder}`);
+    }
+    return parts.join(' / ');
+  }
+}
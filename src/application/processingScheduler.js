@@ -0,0 +1,115 @@
+import { config } from '../config/config.js';
+
+/**
+ * processEmails を一定間隔で実行するスケジューラー（watch / daemon モード）
+ */
+export class ProcessingScheduler {
+  /**
+   * @param {ClaimDetectionOrchestrator} orchestrator - 処理を実行するオーケストレーター
+   * @param {Object} options - スケジューラー設定
+   * @param {number} options.intervalMinutes - 実行間隔（分）
+   * @param {number} options.retryBaseSeconds - 失敗時の初回リトライ待機時間（秒）
+   * @param {number} options.maxBackoffMinutes - 失敗時の最大待機時間（分）
+   * @param {Object} options.processOptions - processEmails に渡すオプション
+   */
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.intervalMinutes = options.intervalMinutes || config.app.checkIntervalMinutes;
+    this.retryBaseSeconds = options.retryBaseSeconds || config.daemon.retryBaseSeconds;
+    this.maxBackoffMinutes = options.maxBackoffMinutes || config.daemon.maxBackoffMinutes;
+    this.processOptions = options.processOptions || {};
+    this.isStopped = true;
+    this.consecutiveFailures = 0;
+    this.currentRun = null;
+    this.sleepTimer = null;
+    this.wakeUp = null;
+  }
+
+  /**
+   * スケジューラーを開始し、stop() が呼ばれるまで待機する
+   */
+  async start() {
+    this.isStopped = false;
+    console.log(`⏰ Scheduler started (interval: ${this.intervalMinutes} min)`);
+
+    while (!this.isStopped) {
+      this.currentRun = this.runOnce();
+      const waitMs = await this.currentRun;
+      this.currentRun = null;
+
+      if (this.isStopped) {
+        break;
+      }
+
+      const nextRun = new Date(Date.now() + waitMs);
+      console.log(`⏰ Next run at ${nextRun.toLocaleString('ja-JP')}`);
+      await this.sleep(waitMs);
+    }
+
+    console.log('⏰ Scheduler stopped');
+  }
+
+  /**
+   * 1回分の処理を実行し、次回実行までの待機時間（ミリ秒）を返す
+   */
+  async runOnce() {
+    if (this.orchestrator.isRunning) {
+      console.log('Previous processing run is still in progress, skipping this cycle...');
+      return this.getIntervalMs();
+    }
+
+    try {
+      const result = await this.orchestrator.processEmails(this.processOptions);
+      this.consecutiveFailures = 0;
+      if (result) {
+        console.log(`Scheduled run completed. Processed: ${result.emailsProcessed}, Claims detected: ${result.claimsDetected}`);
+      }
+      return this.getIntervalMs();
+    } catch (error) {
+      this.consecutiveFailures++;
+      const backoffMs = this.getBackoffMs();
+      console.error(`Scheduled run failed (${this.consecutiveFailures} consecutive failure(s)):`, error.message);
+      console.log(`Retrying in ${Math.round(backoffMs / 1000)} seconds`);
+      return backoffMs;
+    }
+  }
+
+  getIntervalMs() {
+    return this.intervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * 連続失敗回数に応じた指数バックオフ時間を計算
+   */
+  getBackoffMs() {
+    const backoffMs = this.retryBaseSeconds * 1000 * Math.pow(2, this.consecutiveFailures - 1);
+    return Math.min(backoffMs, this.maxBackoffMinutes * 60 * 1000);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wakeUp = resolve;
+      this.sleepTimer = setTimeout(resolve, ms);
+    });
+  }
+
+  /**
+   * スケジューラーを停止し、実行中の処理があれば完了を待つ
+   */
+  async stop() {
+    if (this.isStopped) {
+      return;
+    }
+
+    this.isStopped = true;
+    clearTimeout(this.sleepTimer);
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+
+    if (this.currentRun) {
+      console.log('Waiting for the current processing run to finish...');
+      await this.currentRun;
+    }
+  }
+}
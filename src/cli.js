@@ -1,11 +1,15 @@
 import readline from 'readline';
 import { ClaimDetector } from './services/claimDetector.js';
+import { ProcessingScheduler } from './application/processingScheduler.js';
 import { ClaimFormatter } from './presentation/formatters/claimFormatter.js';
 import { validateConfig } from './config/config.js';
+import { getClaimTaxonomy } from './config/claimTaxonomy.js';
 
 export class CLI {
   constructor() {
     this.detector = new ClaimDetector();
+    this.scheduler = null;
+    this.isExiting = false;
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
@@ -41,8 +45,11 @@ export class CLI {
       console.log('🔧 設定を検証中...');
       validateConfig();
       
-      console.log('⚙️ サービスを初期化中...');
-      await this.detector.initialize();
+      // 認証状態の確認・サインアウトはサインインせずに実行する
+      if (!['auth', 'logout'].includes(args[0]?.toLowerCase())) {
+        console.log('⚙️ サービスを初期化中...');
+        await this.detector.initialize();
+      }
       
       console.log('📧 コマンドを実行中...');
       
@@ -84,6 +91,11 @@ export class CLI {
           await this.processEmails(args);
           break;
 
+        case 'watch':
+        case 'daemon':
+          await this.startDaemon(args);
+          break;
+
         case 'claims':
           await this.showClaims(args);
           break;
@@ -104,10 +116,22 @@ export class CLI {
           await this.showHistory(args);
           break;
 
+        case 'threads':
+          await this.showThreads(args);
+          break;
+
         case 'server':
           await this.manageServer(args);
           break;
 
+        case 'auth':
+          await this.manageAuth(args);
+          break;
+
+        case 'logout':
+          await this.logout();
+          break;
+
         case 'help':
           console.log(ClaimFormatter.showMenu());
           break;
@@ -130,36 +154,66 @@ export class CLI {
 
   async processEmails(args) {
     const debugMode = args.includes('--debug') || args.includes('-d');
-    const localllmMode = args.includes('--localllm') || args.includes('-localllm');
+    const provider = this.parseProvider(args);
     const dateFilters = this.parseDateFilters(args);
     const emailAddress = this.parseEmailAddress(args);
     const concurrency = this.parseConcurrency(args);
+    const allMailboxes = args.includes('--all-mailboxes');
+    const syncMode = args.includes('--delta') ? 'delta' : undefined;
+    const threadContext = args.includes('--thread-context') ? true : undefined;
+    const writeBackDryRun = args.includes('--write-back-dry-run');
+
+    if (allMailboxes && emailAddress) {
+      console.log('❌ --all-mailboxes と --email-address は同時に指定できません');
+      return;
+    }
+    if (!this.validateProvider(provider)) {
+      return;
+    }
     
     console.log('📧 メールの処理を開始します...');
     if (debugMode) {
       console.log('🔧 デバッグモードが有効です');
     }
-    if (localllmMode) {
+    if (provider === 'local') {
       console.log('🤖 ローカルLLM & ONNX NPUモードが有効です');
       console.log('⚙️ ONNX NPUサーバーを自動起動します...');
+    } else if (provider) {
+      console.log('🤖 AIプロバイダー:', provider);
     }
     if (emailAddress) {
       console.log('📮 指定メールボックス:', emailAddress);
     }
+    if (allMailboxes) {
+      console.log('📮 全メールボックス（個人＋共有）を処理します');
+    }
+    if (syncMode === 'delta') {
+      console.log('🔄 delta同期モードで差分を取得します');
+    }
+    if (threadContext) {
+      console.log('🧵 スレッド履歴を分析プロンプトに含めます');
+    }
+    if (writeBackDryRun) {
+      console.log('✏️  Exchangeへの書き戻しをdry-runで実行します（メールは変更されません）');
+    }
     
     if (dateFilters.days || dateFilters.hours || dateFilters.startDate || dateFilters.endDate) {
       console.log('📅 期間指定:', this.formatDateFilters(dateFilters));
     }
     
-    if (concurrency && !localllmMode) {
+    if (concurrency) {
       console.log('⚡ 同時実行数:', concurrency);
     }
     
     try {
       const options = { 
         debug: debugMode,
-        useLocalLLM: localllmMode,
+        provider: provider,
         emailAddress: emailAddress,
+        allMailboxes: allMailboxes,
+        syncMode: syncMode,
+        threadContext: threadContext,
+        writeBackDryRun: writeBackDryRun,
         concurrency: concurrency,
         ...dateFilters
       };
@@ -170,8 +224,69 @@ export class CLI {
     }
   }
 
+  async startDaemon(args) {
+    const debugMode = args.includes('--debug') || args.includes('-d');
+    const provider = this.parseProvider(args);
+    const dateFilters = this.parseDateFilters(args);
+    const emailAddress = this.parseEmailAddress(args);
+    const concurrency = this.parseConcurrency(args);
+    const intervalMinutes = this.parseInterval(args);
+    const allMailboxes = args.includes('--all-mailboxes');
+    const syncMode = args.includes('--delta') ? 'delta' : undefined;
+    const threadContext = args.includes('--thread-context') ? true : undefined;
+    const writeBackDryRun = args.includes('--write-back-dry-run');
+
+    if (allMailboxes && emailAddress) {
+      console.log('❌ --all-mailboxes と --email-address は同時に指定できません');
+      return;
+    }
+    if (!this.validateProvider(provider)) {
+      return;
+    }
+
+    if (dateFilters.days || dateFilters.hours || dateFilters.startDate || dateFilters.endDate) {
+      console.log('⚠️ watchモードでは期間指定は無視されます（前回処理時刻以降のメールを処理します）');
+    }
+
+    this.scheduler = new ProcessingScheduler(this.detector, {
+      intervalMinutes: intervalMinutes,
+      processOptions: {
+        debug: debugMode,
+        provider: provider,
+        emailAddress: emailAddress,
+        allMailboxes: allMailboxes,
+        syncMode: syncMode,
+        threadContext: threadContext,
+        writeBackDryRun: writeBackDryRun,
+        concurrency: concurrency
+      }
+    });
+
+    console.log(`🔁 watchモードを開始します（${this.scheduler.intervalMinutes}分間隔、Ctrl+C で終了）`);
+    if (emailAddress) {
+      console.log('📮 指定メールボックス:', emailAddress);
+    }
+    if (allMailboxes) {
+      console.log('📮 全メールボックス（個人＋共有）を処理します');
+    }
+    if (provider === 'local') {
+      console.log('🤖 ローカルLLM & ONNX NPUモードが有効です');
+    } else if (provider) {
+      console.log('🤖 AIプロバイダー:', provider);
+    }
+
+    await this.scheduler.start();
+    this.scheduler = null;
+  }
+
   async showClaims(args) {
-    const filters = this.parseFilters(args);
+    let filters;
+    try {
+      filters = this.parseFilters(args);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return;
+    }
     
     console.log('🔍 クレーム一覧を取得中...');
     
@@ -208,25 +323,22 @@ export class CLI {
   }
 
   async generateReport(args = []) {
-    const localllmMode = args.includes('--localllm') || args.includes('-localllm');
-    
-    if (localllmMode) {
-      console.log('📝 ローカルLLM でAIレポートを生成中... (サーバーを起動します)');
-      
-      // サーバー起動
-      const serverStarted = await this.detector.localLLMService.startServer();
-      if (!serverStarted) {
-        console.error('❌ ONNX NPUサーバーの起動に失敗しました');
-        return;
-      }
-    } else {
-      console.log('📝 Azure OpenAI でAIレポートを生成中... (しばらくお待ちください)');
+    const provider = this.parseProvider(args);
+    if (!this.validateProvider(provider)) {
+      return;
     }
     
     try {
-      const report = await this.detector.generateReport(localllmMode);
+      const serviceName = this.detector.getAIService(provider).getServiceName();
+      if (provider === 'local') {
+        console.log('📝 ローカルLLM でAIレポートを生成中... (サーバーを起動します)');
+      } else {
+        console.log(`📝 ${serviceName} でAIレポートを生成中... (しばらくお待ちください)`);
+      }
+
+      const report = await this.detector.generateReport(provider);
       console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      console.log(localllmMode ? '🤖 ONNX NPU生成レポート' : '🤖 Azure OpenAI生成レポート');
+      console.log(`🤖 ${serviceName}生成レポート`);
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log(report);
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -266,10 +378,73 @@ export class CLI {
     }
   }
 
+  async showThreads(args) {
+    const filters = this.parseThreadFilters(args);
+
+    console.log('🧵 スレッドのエスカレーション状況を取得中...');
+
+    try {
+      const threads = await this.detector.getThreadEscalations(filters);
+
+      if (threads.length === 0) {
+        console.log('📭 指定された条件のスレッドが見つかりませんでした');
+        return;
+      }
+
+      console.log(`📋 ${threads.length}件のスレッドが見つかりました`);
+      console.log(ClaimFormatter.formatThreadsTable(threads));
+
+      if (threads.length === 1) {
+        console.log(ClaimFormatter.formatThreadDetails(threads[0]));
+      }
+
+    } catch (error) {
+      console.error('❌ スレッド取得中にエラーが発生しました:', error.message);
+    }
+  }
+
+  async manageAuth(args) {
+    const subCommand = args[0] || 'status';
+
+    if (subCommand !== 'status') {
+      console.log(`❌ 不明なauthコマンド: ${subCommand}`);
+      console.log('使用方法: auth status');
+      return;
+    }
+
+    try {
+      const status = await this.detector.getAuthStatus();
+      console.log(ClaimFormatter.formatAuthStatus(status));
+    } catch (error) {
+      console.error('❌ 認証状態の取得中にエラーが発生しました:', error.message);
+    }
+  }
+
+  async logout() {
+    try {
+      const usernames = await this.detector.logout();
+      if (usernames.length === 0) {
+        console.log('ℹ️ キャッシュされているアカウントはありません');
+      } else {
+        console.log(`👋 サインアウトしました: ${usernames.join(', ')}`);
+      }
+      console.log('🗑️ トークンキャッシュを削除しました（次回実行時に再認証が必要です）');
+    } catch (error) {
+      console.error('❌ サインアウト中にエラーが発生しました:', error.message);
+    }
+  }
+
   async manageServer(args) {
     const [action] = args;
     
     try {
+      const localLLMService = this.detector.localLLMService;
+      if (localLLMService.isRemote && ['start', 'stop', 'restart'].includes(action?.toLowerCase())) {
+        console.log(`⚠️ リモートのサーバー（${localLLMService.baseUrl}）に接続する設定（LOCAL_LLM_SERVER_MODE=remote）のため、起動・停止はできません`);
+        console.log('   server status で接続状態を確認できます');
+        return;
+      }
+
       switch (action?.toLowerCase()) {
         case 'start':
           console.log('🚀 ONNX NPUサーバーを起動中...');
@@ -329,10 +504,17 @@ export class CLI {
         if (key && value) {
           switch (key) {
             case 'category':
-              filters.category = value;
+              // カテゴリID・表示名のどちらでも指定可能
+              filters.category = getClaimTaxonomy().resolveCategory(value);
+              if (!filters.category) {
+                throw new Error(this.describeUnknownFilter('カテゴリ', value, getClaimTaxonomy().categories));
+              }
               break;
             case 'severity':
-              filters.severity = value;
+              filters.severity = getClaimTaxonomy().resolveSeverity(value);
+              if (!filters.severity) {
+                throw new Error(this.describeUnknownFilter('重要度', value, getClaimTaxonomy().severities));
+              }
               break;
             case 'confidence':
               filters.confidence = parseInt(value);
@@ -354,6 +536,11 @@ export class CLI {
     return filters;
   }
 
+  describeUnknownFilter(name, value, entries) {
+    const choices = entries.map(entry => `${entry.id}（${entry.label}）`).join(', ');
+    return `不明な${name}です: ${value}\n指定可能な${name}: ${choices}`;
+  }
+
   parseHistoryFilters(args) {
     const filters = {};
 
@@ -374,6 +561,34 @@ export class CLI {
             case 'sender':
               filters.sender = value;
               break;
+            case 'mailbox':
+              filters.mailbox = value;
+              break;
+          }
+        }
+      }
+    });
+
+    return filters;
+  }
+
+  parseThreadFilters(args) {
+    const filters = {};
+
+    args.forEach(arg => {
+      if (arg.startsWith('--')) {
+        const [key, value] = arg.substring(2).split('=');
+        if (key && value) {
+          switch (key) {
+            case 'limit':
+              filters.limit = parseInt(value);
+              break;
+            case 'mailbox':
+              filters.mailbox = value;
+              break;
+            case 'min-followups':
+              filters.minFollowUps = parseInt(value);
+              break;
           }
         }
       }
@@ -453,6 +668,41 @@ export class CLI {
     return null;
   }
 
+  /**
+   * AI プロバイダー名を取得（--provider=name、--localllm は --provider=local と同等）
+   * @returns {string|undefined} プロバイダー名（未指定の場合は AI_PROVIDER を使用）
+   */
+  parseProvider(args) {
+    const providerArg = args.find(arg => arg.startsWith('--provider='));
+    if (providerArg) {
+      return providerArg.substring('--provider='.length);
+    }
+    if (args.includes('--localllm') || args.includes('-localllm')) {
+      return 'local';
+    }
+    return undefined;
+  }
+
+  validateProvider(provider) {
+    const providerNames = this.detector.getAIProviderNames();
+    if (provider && !providerNames.includes(provider)) {
+      console.log(`❌ 不明なAIプロバイダーです: ${provider}（指定可能: ${providerNames.join(', ')}）`);
+      return false;
+    }
+    return true;
+  }
+
+  parseInterval(args) {
+    for (const arg of args) {
+      if (arg.startsWith('--interval=')) {
+        const value = parseInt(arg.substring('--interval='.length));
+        return isNaN(value) ? null : Math.max(1, value);
+      }
+    }
+
+    return null;
+  }
+
   formatDateFilters(filters) {
     const parts = [];
     
@@ -476,8 +726,18 @@ export class CLI {
   }
 
   async exit() {
+    if (this.isExiting) {
+      return;
+    }
+    this.isExiting = true;
+
     console.log('🛑 アプリケーションを終了中...');
     try {
+      // 実行中の処理はキャンセルし、分析を開始していないメールは次回の実行で処理する
+      this.detector.cancelProcessing();
+      if (this.scheduler) {
+        await this.scheduler.stop();
+      }
       await this.detector.shutdown();
       this.rl.close();
       console.log('👋 お疲れ様でした！');
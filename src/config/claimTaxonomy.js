@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+/**
+ * クレームの分類（カテゴリ・重要度・キーワード例）
+ * 分類は CLAIM_TAXONOMY_PATH の JSON ファイルで定義し、プロンプト・応答の検証・表示・絞り込みで共通して使用する
+ */
+export class ClaimTaxonomy {
+  /**
+   * @param {Object} definition - 分類の定義
+   * @param {Array<{id: string, label: string, description: string}>} definition.categories - カテゴリ
+   * @param {Array<{id: string, label: string, description: string, icon: string}>} definition.severities - 重要度（低い順）
+   * @param {Array<string>} definition.keywords - クレーム判定のキーワード例
+   * @param {string} definition.fallbackCategory - 分析できなかった場合に使用するカテゴリ
+   * @param {string} definition.fallbackSeverity - 分析できなかった場合に使用する重要度
+   */
+  constructor(definition) {
+    this.categories = definition.categories;
+    this.severities = definition.severities;
+    this.keywords = definition.keywords || [];
+    this.fallbackCategory = definition.fallbackCategory;
+    this.fallbackSeverity = definition.fallbackSeverity;
+  }
+
+  /**
+   * JSON ファイルから分類を読み込む
+   * @param {string} filePath - ファイルパス（カレントディレクトリからの相対パス）
+   * @returns {ClaimTaxonomy}
+   */
+  static load(filePath) {
+    const taxonomyPath = path.resolve(process.cwd(), filePath);
+    if (!fs.existsSync(taxonomyPath)) {
+      throw new Error(`Claim taxonomy not found: ${taxonomyPath}`);
+    }
+
+    const taxonomy = new ClaimTaxonomy(JSON.parse(fs.readFileSync(taxonomyPath, 'utf8')));
+    const errors = taxonomy.validate();
+    if (errors.length > 0) {
+      throw new Error(`Invalid claim taxonomy (${taxonomyPath}): ${errors.join('; ')}`);
+    }
+    return taxonomy;
+  }
+
+  validate() {
+    const errors = [];
+
+    for (const [name, items] of [['categories', this.categories], ['severities', this.severities]]) {
+      if (!Array.isArray(items) || items.length === 0) {
+        errors.push(`${name} must be a non-empty array`);
+        continue;
+      }
+
+      const ids = items.map(item => item.id);
+      if (ids.some(id => typeof id !== 'string' || id === '')) {
+        errors.push(`every entry in ${name} must have an id`);
+      }
+      if (new Set(ids).size !== ids.length) {
+        errors.push(`${name} contains duplicate ids`);
+      }
+    }
+
+    if (errors.length === 0) {
+      if (!this.categoryIds.includes(this.fallbackCategory)) {
+        errors.push(`fallbackCategory "${this.fallbackCategory}" is not defined in categories`);
+      }
+      if (!this.severityIds.includes(this.fallbackSeverity)) {
+        errors.push(`fallbackSeverity "${this.fallbackSeverity}" is not defined in severities`);
+      }
+    }
+
+    return errors;
+  }
+
+  get categoryIds() {
+    return this.categories.map(category => category.id);
+  }
+
+  get severityIds() {
+    return this.severities.map(severity => severity.id);
+  }
+
+  /**
+   * カテゴリの ID または表示名から ID を取得（CLI の絞り込み用）
+   * @returns {string|null} カテゴリID（該当しない場合はnull）
+   */
+  resolveCategory(value) {
+    return this.findEntry(this.categories, value)?.id || null;
+  }
+
+  /**
+   * 重要度の ID または表示名から ID を取得（CLI の絞り込み用）
+   * @returns {string|null} 重要度ID（該当しない場合はnull）
+   */
+  resolveSeverity(value) {
+    return this.findEntry(this.severities, value)?.id || null;
+  }
+
+  /**
+   * カテゴリの表示名（分類にないカテゴリは ID をそのまま返す）
+   */
+  getCategoryLabel(id) {
+    return this.categories.find(category => category.id === id)?.label || id;
+  }
+
+  /**
+   * 重要度の表示名（分類にない重要度は ID をそのまま返す）
+   */
+  getSeverityLabel(id) {
+    return this.severities.find(severity => severity.id === id)?.label || id;
+  }
+
+  getSeverityIcon(id) {
+    return this.severities.find(severity => severity.id === id)?.icon || '⚪';
+  }
+
+  /**
+   * 重要度の順位（定義順に 1, 2, ... で、分類にない重要度は 0）
+   */
+  getSeverityRank(id) {
+    return this.severityIds.indexOf(id) + 1;
+  }
+
+  findEntry(items, value) {
+    const normalized = (value || '').trim().toLowerCase();
+    return items.find(item => item.id.toLowerCase() === normalized || (item.label || '').toLowerCase() === normalized);
+  }
+}
+
+let claimTaxonomy = null;
+
+/**
+ * 設定されたクレーム分類を取得（初回のみファイルから読み込む）
+ * @returns {ClaimTaxonomy}
+ */
+export function getClaimTaxonomy() {
+  if (!claimTaxonomy) {
+    claimTaxonomy = ClaimTaxonomy.load(config.analysis.taxonomyPath);
+  }
+  return claimTaxonomy;
+}
@@ -1,22 +1,116 @@
 import dotenv from 'dotenv';
+import { getClaimTaxonomy } from './claimTaxonomy.js';
 
 dotenv.config();
 
+/**
+ * 0 を有効な値として扱う整数設定の読み込み（未設定・不正な値の場合はデフォルト値）
+ */
+function parseIntOrDefault(value, defaultValue) {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * 0 を有効な値として扱う小数設定の読み込み（未設定・不正な値の場合はデフォルト値）
+ */
+function parseFloatOrDefault(value, defaultValue) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
 export const config = {
   azure: {
     clientId: process.env.CLIENT_ID,
     tenantId: process.env.TENANT_ID,
+    // pkce: 対話型（ブラウザでサインイン） / device: デバイスコード（SSH接続時など） / app: アプリケーション権限（クライアントシークレットまたは証明書）
+    authMode: ['device', 'app'].includes(process.env.AUTH_MODE) ? process.env.AUTH_MODE : 'pkce',
+    clientSecret: process.env.CLIENT_SECRET,
+    certificatePath: process.env.CLIENT_CERTIFICATE_PATH,
+    certificateThumbprint: process.env.CLIENT_CERTIFICATE_THUMBPRINT,
+    redirectPort: parseInt(process.env.AUTH_REDIRECT_PORT) || 3000,
+    callbackTimeoutSeconds: parseInt(process.env.AUTH_CALLBACK_TIMEOUT_SECONDS) || 300,
+    tokenCachePath: process.env.TOKEN_CACHE_PATH || './data/token-cache.json',
+    tokenCacheEncryptionKey: process.env.TOKEN_CACHE_ENCRYPTION_KEY,
   },
   
   exchange: {
     mailboxEmail: process.env.MAILBOX_EMAIL,
     sharedMailboxEmails: process.env.SHARED_MAILBOX_EMAILS ? process.env.SHARED_MAILBOX_EMAILS.split(',').map(email => email.trim()) : [],
+    syncFolders: process.env.SYNC_FOLDERS ? process.env.SYNC_FOLDERS.split(',').map(folder => folder.trim()) : ['inbox'],
   },
   
+  graph: {
+    maxRetries: parseInt(process.env.GRAPH_MAX_RETRIES) || 5,
+    retryBaseDelaySeconds: parseFloat(process.env.GRAPH_RETRY_BASE_DELAY_SECONDS) || 2,
+    maxRetryDelaySeconds: parseInt(process.env.GRAPH_MAX_RETRY_DELAY_SECONDS) || 120,
+  },
+
+  ai: {
+    // --provider 未指定時に使用する AI プロバイダー（azure / local / openai / ollama）
+    provider: process.env.AI_PROVIDER || 'azure',
+  },
+
   openai: {
     endpoint: process.env.AZURE_OPENAI_ENDPOINT,
     apiKey: process.env.AZURE_OPENAI_API_KEY,
     deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
+    // Structured Outputs（response_format の json_schema）には 2024-08-01-preview 以降が必要
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    structuredOutputs: process.env.AZURE_OPENAI_STRUCTURED_OUTPUTS !== 'false',
+    timeoutSeconds: parseInt(process.env.AZURE_OPENAI_TIMEOUT_SECONDS) || 60,
+    maxRetries: parseInt(process.env.AZURE_OPENAI_MAX_RETRIES) || 5,
+    maxRetryDelaySeconds: parseInt(process.env.AZURE_OPENAI_MAX_RETRY_DELAY_SECONDS) || 60,
+    // 0 の場合は制限しない（デプロイメントのクォータに合わせて設定）
+    tokensPerMinute: parseInt(process.env.AZURE_OPENAI_TOKENS_PER_MINUTE) || 0,
+    // --concurrency 未指定時の同時実行数（1 の場合は逐次処理）
+    concurrency: parseInt(process.env.AZURE_OPENAI_CONCURRENCY) || 1,
+    requestDelayMs: parseIntOrDefault(process.env.AZURE_OPENAI_REQUEST_DELAY_MS, 1000),
+  },
+
+  localLLM: {
+    // 推論サーバーのベースURL（未設定時は ONNX_NPU_PORT で起動するローカルサーバー）
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || `http://localhost:${process.env.ONNX_NPU_PORT || 5834}`,
+    // managed: アプリケーション内で ONNX NPU サーバーを起動・停止 / remote: 起動済みのサーバーに接続のみ行う
+    serverMode: ['managed', 'remote'].includes(process.env.LOCAL_LLM_SERVER_MODE)
+      ? process.env.LOCAL_LLM_SERVER_MODE
+      : (process.env.LOCAL_LLM_BASE_URL ? 'remote' : 'managed'),
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    // Authorization の場合は "Bearer <APIキー>"、それ以外のヘッダーには API キーをそのまま設定
+    apiKeyHeader: process.env.LOCAL_LLM_API_KEY_HEADER || 'Authorization',
+    model: process.env.LOCAL_LLM_MODEL,
+    timeoutSeconds: parseInt(process.env.LOCAL_LLM_TIMEOUT_SECONDS) || 120,
+    maxTokens: parseInt(process.env.ONNX_MAX_TOKENS) || 2000,
+    temperature: parseFloatOrDefault(process.env.ONNX_TEMPERATURE, 0.7),
+    concurrency: parseInt(process.env.LOCAL_LLM_CONCURRENCY) || 1,
+    requestDelayMs: parseIntOrDefault(process.env.LOCAL_LLM_REQUEST_DELAY_MS, 1000),
+  },
+
+  // OpenAI 互換 API（OpenAI、vLLM、LM Studio、llama.cpp server など）
+  openaiCompatible: {
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    model: process.env.OPENAI_COMPATIBLE_MODEL,
+    structuredOutputs: process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUTS !== 'false',
+    timeoutSeconds: parseInt(process.env.OPENAI_COMPATIBLE_TIMEOUT_SECONDS) || 60,
+    maxRetries: parseIntOrDefault(process.env.OPENAI_COMPATIBLE_MAX_RETRIES, 3),
+    concurrency: parseInt(process.env.OPENAI_COMPATIBLE_CONCURRENCY) || 1,
+    requestDelayMs: parseIntOrDefault(process.env.OPENAI_COMPATIBLE_REQUEST_DELAY_MS, 1000),
+  },
+
+  ollama: {
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: process.env.OLLAMA_MODEL,
+    timeoutSeconds: parseInt(process.env.OLLAMA_TIMEOUT_SECONDS) || 120,
+    concurrency: parseInt(process.env.OLLAMA_CONCURRENCY) || 1,
+    requestDelayMs: parseIntOrDefault(process.env.OLLAMA_REQUEST_DELAY_MS, 0),
+  },
+
+  prompts: {
+    // テンプレートは <directory>/<version>/<language>/ に配置（プロバイダー専用のテンプレートは azure/ / openai/ / local/ / ollama/ に配置）
+    directory: process.env.PROMPT_TEMPLATES_DIR || 'src/prompts',
+    version: process.env.PROMPT_VERSION || 'v2',
+    language: process.env.PROMPT_LANGUAGE || 'ja',
   },
   
   database: {
@@ -26,23 +120,97 @@ export const config = {
   app: {
     checkIntervalMinutes: parseInt(process.env.CHECK_INTERVAL_MINUTES) || 30,
     maxEmailsPerRun: parseInt(process.env.MAX_EMAILS_PER_RUN) || 50,
+    graphPageSize: parseInt(process.env.GRAPH_PAGE_SIZE) || 50,
+    syncMode: process.env.SYNC_MODE === 'delta' ? 'delta' : 'date',
+  },
+
+  analysis: {
+    bodyCleaningEnabled: process.env.BODY_CLEANING_ENABLED !== 'false',
+    threadContextEnabled: process.env.THREAD_CONTEXT_ENABLED === 'true',
+    threadContextMaxTokens: parseInt(process.env.THREAD_CONTEXT_MAX_TOKENS) || 1000,
+    threadContextMaxMessages: parseInt(process.env.THREAD_CONTEXT_MAX_MESSAGES) || 5,
+    attachmentAnalysisEnabled: process.env.ATTACHMENT_ANALYSIS_ENABLED !== 'false',
+    attachmentMaxSizeMB: parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 5,
+    attachmentMaxCount: parseInt(process.env.ATTACHMENT_MAX_COUNT) || 10,
+    attachmentExcerptMaxTokens: parseInt(process.env.ATTACHMENT_EXCERPT_MAX_TOKENS) || 800,
+    // カテゴリ・重要度・キーワード例の定義
+    taxonomyPath: process.env.CLAIM_TAXONOMY_PATH || 'src/config/claimTaxonomy.json',
+  },
+
+  writeBack: {
+    enabled: process.env.WRITE_BACK_ENABLED === 'true',
+    dryRun: process.env.WRITE_BACK_DRY_RUN === 'true',
+    rulesPath: process.env.WRITE_BACK_RULES_PATH || 'src/config/writeBackRules.json',
+  },
+
+  daemon: {
+    retryBaseSeconds: parseInt(process.env.DAEMON_RETRY_BASE_SECONDS) || 60,
+    maxBackoffMinutes: parseInt(process.env.DAEMON_MAX_BACKOFF_MINUTES) || 60,
   },
 };
 
-export function validateConfig() {
-  const required = [
-    'azure.clientId',
-    'azure.tenantId',
-    'exchange.mailboxEmail',
-    'openai.endpoint',
-    'openai.apiKey',
-    'openai.deploymentName'
-  ];
+// AI プロバイダーごとの必須設定
+const AI_PROVIDER_REQUIRED_CONFIG = {
+  azure: ['openai.endpoint', 'openai.apiKey', 'openai.deploymentName'],
+  local: [],
+  openai: ['openaiCompatible.baseUrl', 'openaiCompatible.model'],
+  ollama: ['ollama.baseUrl', 'ollama.model'],
+};
+
+// カテゴリ・重要度の選択肢を固定で記述しているプロンプトのバージョンと、その選択肢
+const FIXED_TAXONOMY_PROMPT_VERSIONS = {
+  v1: {
+    categoryIds: ['answer quality', 'answer delay', 'point less conversation', 'communication', 'other', 'not_claim'],
+    severityIds: ['low', 'medium', 'high']
+  }
+};
 
-  for (const path of required) {
+function assertRequiredConfig(paths) {
+  for (const path of paths) {
     const value = path.split('.').reduce((obj, key) => obj?.[key], config);
     if (!value) {
       throw new Error(`Missing required configuration: ${path}`);
     }
   }
-}
\ No newline at end of file
+}
+
+export function validateConfig() {
+  assertRequiredConfig([
+    'azure.clientId',
+    'azure.tenantId',
+    'exchange.mailboxEmail'
+  ]);
+  validateAIProviderConfig(config.ai.provider);
+
+  if (config.azure.authMode === 'app' && !config.azure.clientSecret && !(config.azure.certificatePath && config.azure.certificateThumbprint)) {
+    throw new Error('Missing required configuration: azure.clientSecret or azure.certificatePath + azure.certificateThumbprint (AUTH_MODE=app)');
+  }
+
+  validatePromptConfig();
+}
+
+/**
+ * プロンプトのバージョンとクレーム分類の組み合わせを検証
+ * 選択肢が固定のバージョン（v1）を分類の変更後に使用すると、応答がすべてスキーマ検証に失敗するため起動時にエラーとする
+ * @param {Object} prompts - プロンプトの設定（省略時は config.prompts）
+ * @param {ClaimTaxonomy} taxonomy - クレーム分類（省略時は CLAIM_TAXONOMY_PATH の分類）
+ */
+export function validatePromptConfig(prompts = config.prompts, taxonomy = getClaimTaxonomy()) {
+  const fixed = FIXED_TAXONOMY_PROMPT_VERSIONS[prompts.version];
+  if (!fixed) {
+    return;
+  }
+
+  const sameIds = (actual, expected) => actual.length === expected.length && expected.every(id => actual.includes(id));
+  if (!sameIds(taxonomy.categoryIds, fixed.categoryIds) || !sameIds(taxonomy.severityIds, fixed.severityIds)) {
+    throw new Error(`PROMPT_VERSION=${prompts.version} only supports the built-in categories and severities. Use PROMPT_VERSION=v2 or later with a custom claim taxonomy (${config.analysis.taxonomyPath})`);
+  }
+}
+
+/**
+ * AI プロバイダーの必須設定を検証（必須設定が定義されていないプロバイダーは検証しない）
+ * @param {string} provider - プロバイダー名
+ */
+export function validateAIProviderConfig(provider) {
+  assertRequiredConfig(AI_PROVIDER_REQUIRED_CONFIG[provider] || []);
+}
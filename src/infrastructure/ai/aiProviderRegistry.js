@@ -0,0 +1,78 @@
+import { validateAIProviderConfig } from '../../config/config.js';
+import { OpenAIService } from './openaiService.js';
+import { LocalLLMService } from './localLLMService.js';
+import { OpenAICompatibleService } from './openaiCompatibleService.js';
+import { OllamaService } from './ollamaService.js';
+
+/**
+ * 名前で AI プロバイダー（BaseAIService のサブクラス）を選択するためのレジストリ
+ * プロバイダーは最初に使用されたときに作成・初期化し、以降は同じインスタンスを使用する
+ */
+export class AIProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+  }
+
+  /**
+   * プロバイダーを登録
+   * @param {string} name - プロバイダー名（--provider で指定する名前）
+   * @param {Function} factory - BaseAIService のインスタンスを返す関数
+   */
+  register(name, factory) {
+    this.factories.set(name, factory);
+    return this;
+  }
+
+  has(name) {
+    return this.factories.has(name);
+  }
+
+  get names() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * プロバイダーを取得
+   * @param {string} name - プロバイダー名
+   * @returns {BaseAIService}
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown AI provider: ${name} (available: ${this.names.join(', ')})`);
+    }
+
+    if (!this.instances.has(name)) {
+      validateAIProviderConfig(name);
+      const service = this.factories.get(name)();
+      service.initialize();
+      this.instances.set(name, service);
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * 作成済みのすべてのプロバイダーの後処理を実行
+   */
+  async shutdown() {
+    for (const [name, service] of this.instances) {
+      try {
+        await service.shutdown();
+      } catch (error) {
+        console.error(`Error shutting down AI provider ${name}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * 組み込みのプロバイダーを登録したレジストリを作成
+ * @returns {AIProviderRegistry}
+ */
+export function createDefaultAIProviderRegistry() {
+  return new AIProviderRegistry()
+    .register('azure', () => new OpenAIService())
+    .register('local', () => new LocalLLMService())
+    .register('openai', () => new OpenAICompatibleService())
+    .register('ollama', () => new OllamaService());
+}
@@ -1,179 +1,442 @@
+import { config } from '../../config/config.js';
+import { getClaimTaxonomy } from '../../config/claimTaxonomy.js';
+import { JsonResponseParser } from './jsonResponseParser.js';
+import { PromptTemplateLoader } from './promptTemplateLoader.js';
+
+/**
+ * AI サービスのコンテンツフィルターによってリクエストまたは応答がブロックされたことを示すエラー
+ */
+export class ContentFilterError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {string} stage - ブロックされた段階（prompt: 入力 / completion: 応答）
+   * @param {Object|null} details - フィルターの判定結果（カテゴリごとの重大度など）
+   */
+  constructor(message, stage, details = null) {
+    super(message);
+    this.name = 'ContentFilterError';
+    this.stage = stage;
+    this.details = details;
+  }
+}
+
 export class BaseAIService {
-  constructor() {
+  /**
+   * @param {Object} options - バックエンドごとの設定
+   * @param {number} options.concurrency - 同時実行数（1の場合は逐次処理）
+   * @param {number} options.requestDelayMs - リクエストごとの待機時間（ミリ秒）
+   * @param {string} options.promptBackend - バックエンド専用のプロンプトテンプレートを探すディレクトリ名（プロバイダー名）
+   */
+  constructor(options = {}) {
     if (this.constructor === BaseAIService) {
       throw new Error('BaseAIService cannot be instantiated directly');
     }
+
+    this.defaultConcurrentLimit = Math.max(1, options.concurrency || 1);
+    this.concurrentLimit = this.defaultConcurrentLimit;
+    this.requestDelayMs = options.requestDelayMs ?? 1000;
+    this.prompts = new PromptTemplateLoader({ ...config.prompts, backend: options.promptBackend });
   }
 
-  buildClaimAnalysisPrompt(emailContent, subject, sender) {
-    return `以下のメールを分析し、顧客からのクレームかどうかを判定してください。催促を受けている場合も、クレームとみなします。：
-
-件名: ${subject}
-差出人: ${sender}
-本文:
-${emailContent}
-
-以下の形式でJSONレスポンスを返してください：
-{
-  "isClaim": boolean,
-  "confidence": number (0-100),
-  "category": string ("answer quality", "answer delay", "point less conversation", "communication", "other", "not_claim"),
-  "severity": string ("low", "medium", "high"),
-  "reason": string (判定理由),
-  "keywords": array (クレーム判定に使用したキーワード),
-  "summary": string (要約)
-}
+  /**
+   * クライアントの初期化（プロバイダーの登録時に1回だけ呼ばれる）
+   */
+  initialize() {}
+
+  /**
+   * 分析・レポート作成の前に呼ばれる準備処理（サーバーの起動など）
+   * 準備できなかった場合は例外を投げる
+   */
+  async prepare() {}
 
-判定基準:
-- 不満、苦情、問題の報告が含まれているか
-- 解決や対応を求める内容か
-- 否定的な感情表現があるか
-- IT supportに対する批判的な内容があるか
-- 改善要求があるか
+  /**
+   * アプリケーション終了時の後処理（起動したサーバーの停止など）
+   */
+  async shutdown() {}
 
-キーワード例: 困っている、問題、不満、おかしい、間違い、対応、解決、返金、交換、苦情、クレーム、不具合、故障、未回答、遅延、催促`;
+  /**
+   * 同時実行数を設定
+   * @param {number} limit - 同時実行数の上限
+   */
+  setConcurrentLimit(limit) {
+    this.concurrentLimit = Math.max(1, parseInt(limit) || 1);
+    console.log(`${this.getServiceName()} concurrent limit set to: ${this.concurrentLimit}`);
   }
 
-  parseAnalysisResult(result, debug = false) {
-    if (debug) {
-      console.log('\n🔍 ===== AI DEBUG: パース詳細 =====');
-      console.log('📝 生レスポンス長:', result?.length || 0, '文字');
-      console.log('📝 生レスポンス内容:');
-      console.log('---始まり---');
-      console.log(result);
-      console.log('---終わり---');
+  /**
+   * 複数のメールを同時並行で分析（ワーカープール）
+   * 常に最大 concurrentLimit 件のリクエストを実行し、1件完了するごとに次のメールの分析を開始する
+   * 各ワーカーはリクエストごとに requestDelayMs だけ間隔を空ける
+   * @param {Array} emails - 分析対象のメール配列
+   * @param {boolean} debug - デバッグモード
+   * @param {Object} options - オプション
+   * @param {Function} options.onResult - 1件の分析が完了するたびに呼ばれるコールバック（{ emailId, result } を受け取る）
+   * @param {AbortSignal} options.signal - キャンセル用のシグナル（中断時は実行中のリクエストも中止し、未開始のメールは分析しない）
+   * @returns {Array} - 完了した分析結果の配列（キャンセルされたメールは含まない）
+   */
+  async analyzeEmailsConcurrently(emails, debug = false, options = {}) {
+    const { onResult, signal } = options;
+    if (!emails || emails.length === 0) {
+      return [];
     }
 
-    if (!result || result.trim() === '') {
-      if (debug) {
-        console.log('❌ パースエラー: 空またはnullのレスポンス');
-        console.log('=================================\n');
+    console.log(`📧 Analyzing ${emails.length} emails with concurrency limit: ${this.concurrentLimit}`);
+    
+    const results = [];
+    const totalEmails = emails.length;
+    let nextIndex = 0;
+    let processedCount = 0;
+
+    const worker = async () => {
+      while (nextIndex < totalEmails && !signal?.aborted) {
+        const index = nextIndex++;
+        const analysis = await this.analyzeQueuedEmail(emails[index], index, totalEmails, debug, signal);
+        if (!analysis) {
+          continue;
+        }
+
+        results.push(analysis);
+        processedCount++;
+
+        // 完了したものから順に呼び出し元に渡す（全件の完了を待たずに保存できるようにする）
+        if (onResult) {
+          try {
+            await onResult(analysis);
+          } catch (error) {
+            console.error(`Error handling analysis result for email ${analysis.emailId}:`, error);
+          }
+        }
+
+        console.log(`📊 Progress: ${processedCount}/${totalEmails} emails processed`);
+
+        if (nextIndex < totalEmails && this.requestDelayMs > 0) {
+          await this.delay(this.requestDelayMs, signal);
+        }
       }
-      return {
-        isClaim: false,
-        confidence: 0,
-        category: 'other',
-        severity: 'medium',
-        reason: 'AIから空のレスポンスが返されました',
-        keywords: [],
-        summary: '',
-        rawResponse: result,
-        parseError: 'Empty or null response'
-      };
+    };
+
+    const workerCount = Math.min(this.concurrentLimit, totalEmails);
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    if (signal?.aborted) {
+      console.log(`🛑 Concurrent analysis cancelled: ${processedCount}/${totalEmails} emails processed`);
+    } else {
+      console.log(`✅ Completed analyzing ${totalEmails} emails concurrently`);
     }
+    return results;
+  }
 
+  /**
+   * ワーカープールから1件のメールを分析
+   * @returns {Promise<{emailId: number, result: Object}|null>} 分析結果（キャンセルされた場合はnull）
+   */
+  async analyzeQueuedEmail(email, index, totalEmails, debug, signal) {
     try {
-      const jsonMatch = result.match(/\{[\s\S]*\}/);
+      const emailText = email.bodyContent || '';
+      const subject = email.subject || '';
+      const sender = `${email.senderName || ''} <${email.senderEmail || ''}>`;
+      
       if (debug) {
-        console.log('🔍 JSON正規表現マッチ:', jsonMatch ? '成功' : '失敗');
-        if (jsonMatch) {
-          console.log('📊 抽出されたJSON:');
-          console.log(jsonMatch[0]);
-        }
+        console.log(`🔍 Analyzing email ${index + 1}/${totalEmails}: ${subject.substring(0, 50)}...`);
       }
       
-      if (jsonMatch) {
-        try {
-          const parsed = JSON.parse(jsonMatch[0]);
-          if (debug) {
-            console.log('✅ JSONパース: 成功');
-            console.log('📊 パース後オブジェクト:', JSON.stringify(parsed, null, 2));
-          }
-
-          const validCategories = ["answer quality", "answer delay", "point less conversation", "communication", "other", "not_claim"];
-          const validSeverities = ['low', 'medium', 'high'];
-          
-          if (debug) {
-            console.log('🔍 フィールド検証:');
-            console.log('  - isClaim:', typeof parsed.isClaim, parsed.isClaim);
-            console.log('  - confidence:', typeof parsed.confidence, parsed.confidence);
-            console.log('  - category:', typeof parsed.category, parsed.category, validCategories.includes(parsed.category) ? '✅' : '❌');
-            console.log('  - severity:', typeof parsed.severity, parsed.severity, validSeverities.includes(parsed.severity) ? '✅' : '❌');
-            console.log('  - reason:', typeof parsed.reason, parsed.reason?.length || 0, '文字');
-            console.log('  - keywords:', Array.isArray(parsed.keywords) ? '✅配列' : '❌非配列', parsed.keywords?.length || 0, '個');
-            console.log('  - summary:', typeof parsed.summary, parsed.summary?.length || 0, '文字');
-          }
-          
-          const processedResult = {
-            isClaim: Boolean(parsed.isClaim),
-            confidence: Math.min(Math.max(parseInt(parsed.confidence) || 0, 0), 100),
-            category: validCategories.includes(parsed.category) ? parsed.category : 'other',
-            severity: validSeverities.includes(parsed.severity) ? parsed.severity : 'medium',
-            reason: parsed.reason || '',
-            keywords: Array.isArray(parsed.keywords) ? parsed.keywords : [],
-            summary: parsed.summary || '',
-            rawResponse: result
-          };
-
-          if (debug) {
-            console.log('✅ 最終処理結果:', JSON.stringify(processedResult, null, 2));
-            console.log('=================================\n');
-          }
+      const result = await this.analyzeEmailForClaim(emailText, subject, sender, debug, {
+        threadContext: email.threadContext,
+        attachmentContext: email.attachmentContext,
+        signal
+      });
+      return {
+        emailId: email.id || email.emailId,
+        result: result
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return null;
+      }
 
-          return processedResult;
-        } catch (jsonParseError) {
-          if (debug) {
-            console.log('❌ JSONパース失敗:', jsonParseError.message);
-            console.log('❌ パース対象文字列:', jsonMatch[0].substring(0, 500) + '...');
-            console.log('=================================\n');
-          }
-          return {
-            isClaim: false,
-            confidence: 0,
-            category: 'other',
-            severity: 'medium',
-            reason: `JSON解析エラー: ${jsonParseError.message}`,
-            keywords: [],
-            summary: '',
-            rawResponse: result,
-            parseError: `JSON parse failed: ${jsonParseError.message}`
-          };
-        }
-      } else {
-        if (debug) {
-          console.log('❌ JSON構造が見つかりません');
-          console.log('🔍 レスポンス形式チェック:');
-          console.log('  - 中括弧の有無:', result.includes('{') && result.includes('}') ? '✅' : '❌');
-          console.log('  - 改行文字数:', (result.match(/\n/g) || []).length);
-          console.log('  - 特殊文字:', /[^\x20-\x7E]/.test(result) ? '含む' : '含まない');
-          console.log('=================================\n');
-        }
-        return {
+      console.error(`Error analyzing email ${email.id}:`, error);
+      return {
+        emailId: email.id || email.emailId,
+        result: {
           isClaim: false,
           confidence: 0,
-          category: 'other',
-          severity: 'medium',
-          reason: 'AIレスポンスにJSON構造が見つかりませんでした',
+          category: getClaimTaxonomy().fallbackCategory,
+          severity: getClaimTaxonomy().fallbackSeverity,
+          reason: `分析エラー: ${error.message}`,
           keywords: [],
           summary: '',
-          rawResponse: result,
-          parseError: 'No JSON structure found in response'
-        };
+          error: error.message,
+          outcome: 'error'
+        }
+      };
+    }
+  }
+
+  /**
+   * 待機時間
+   * @param {number} ms - ミリ秒
+   * @param {AbortSignal} signal - キャンセル用のシグナル（中断時は待機を打ち切る）
+   */
+  delay(ms, signal = null) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  buildClaimAnalysisPrompt(emailContent, subject, sender, threadContext = null, attachmentContext = null) {
+    const taxonomy = getClaimTaxonomy();
+    return this.prompts.render('claimAnalysis.user', {
+      subject,
+      sender,
+      emailContent,
+      attachmentSection: this.buildAttachmentSection(attachmentContext),
+      threadContextSection: this.buildThreadContextSection(threadContext),
+      categoryIds: taxonomy.categoryIds.map(id => JSON.stringify(id)).join(', '),
+      severityIds: taxonomy.severityIds.map(id => JSON.stringify(id)).join(', '),
+      categories: taxonomy.categories.map(category => `- ${category.id}: ${category.description || category.label}`).join('\n'),
+      severities: taxonomy.severities.map(severity => `- ${severity.id}: ${severity.description || severity.label}`).join('\n'),
+      keywords: taxonomy.keywords.join('、')
+    });
+  }
+
+  /**
+   * 同じスレッドの過去メールをトークン予算内に収めてプロンプト用に整形
+   * @param {Object} threadContext - スレッド情報
+   * @param {Array} threadContext.history - 過去メール（新しい順）{ receivedDateTime, sender, subject, body }
+   * @param {string|null} threadContext.lastReplyAt - 当方の最終返信日時
+   * @param {number} threadContext.maxTokens - スレッド履歴に使用するトークン数の上限
+   * @returns {string} プロンプトに挿入するテキスト（スレッド情報がない場合は空文字）
+   */
+  buildThreadContextSection(threadContext) {
+    if (!threadContext || (threadContext.history.length === 0 && !threadContext.lastReplyAt)) {
+      return '';
+    }
+
+    let remainingTokens = threadContext.maxTokens;
+    const entries = [];
+
+    // 新しいメールから優先して予算内に収める
+    for (const message of threadContext.history) {
+      const header = `- ${new Date(message.receivedDateTime).toLocaleString('ja-JP')} 差出人: ${message.sender}`;
+      const headerTokens = this.estimateTokens(header);
+      if (remainingTokens <= headerTokens) {
+        break;
       }
-    } catch (parseError) {
-      if (debug) {
-        console.log('❌ パース処理全体でエラー:', parseError.message);
-        console.log('❌ エラースタック:', parseError.stack);
-        console.log('=================================\n');
+
+      const body = this.truncateToTokens((message.body || '').replace(/\s+/g, ' ').trim(), remainingTokens - headerTokens);
+      entries.unshift(`${header}\n  ${body}`);
+      remainingTokens -= headerTokens + this.estimateTokens(body);
+    }
+
+    const omittedCount = threadContext.history.length - entries.length;
+    const lastReply = threadContext.lastReplyAt
+      ? `当方の最終返信日時: ${new Date(threadContext.lastReplyAt).toLocaleString('ja-JP')}`
+      : 'このスレッドへの当方の返信はまだありません';
+
+    const section = this.prompts.render('threadContext', {
+      entries: entries.length > 0 ? entries.join('\n') : '（過去のメールなし）',
+      omitted: omittedCount > 0 ? `（さらに古いメール ${omittedCount}件は省略）\n` : '',
+      lastReply
+    });
+    return `\n${section}\n`;
+  }
+
+  /**
+   * 添付ファイルの抽出テキストをトークン予算内の抜粋としてプロンプト用に整形
+   * @param {Object} attachmentContext - 添付ファイル情報
+   * @param {Array} attachmentContext.attachments - 添付ファイル { name, contentType, size, extractionStatus, text }
+   * @param {number} attachmentContext.maxTokens - 添付ファイルの抜粋に使用するトークン数の上限
+   * @returns {string} プロンプトに挿入するテキスト（添付ファイルがない場合は空文字）
+   */
+  buildAttachmentSection(attachmentContext) {
+    if (!attachmentContext || attachmentContext.attachments.length === 0) {
+      return '';
+    }
+
+    const statusLabels = {
+      unsupported: 'テキスト抽出に未対応の形式',
+      too_large: 'サイズ超過のため未抽出',
+      error: 'テキスト抽出に失敗',
+      extracted: 'テキストなし'
+    };
+
+    let remainingTokens = attachmentContext.maxTokens;
+    let remainingWithText = attachmentContext.attachments.filter(attachment => attachment.text).length;
+    const entries = [];
+
+    for (const attachment of attachmentContext.attachments) {
+      const header = `- ${attachment.name} (${attachment.contentType || '不明な形式'}, ${Math.ceil((attachment.size || 0) / 1024)} KB)`;
+
+      if (!attachment.text) {
+        entries.push(`${header}: ${statusLabels[attachment.extractionStatus] || statusLabels.extracted}`);
+        continue;
       }
-      console.error('Error parsing AI response:', parseError);
-      return {
-        isClaim: false,
-        confidence: 0,
-        category: 'other',
-        severity: 'medium',
-        reason: `AI応答の解析に失敗しました: ${parseError.message}`,
-        keywords: [],
-        summary: '',
-        rawResponse: result,
-        parseError: parseError.message
-      };
+
+      // 残りの予算をテキストのある添付ファイルで均等に分ける
+      const budget = Math.floor(remainingTokens / remainingWithText);
+      remainingWithText--;
+      const excerpt = this.truncateToTokens(attachment.text.replace(/\s+/g, ' ').trim(), budget);
+      remainingTokens -= this.estimateTokens(excerpt);
+      entries.push(`${header}\n  ${excerpt}`);
+    }
+
+    const section = this.prompts.render('attachments', { entries: entries.join('\n') });
+    return `\n${section}\n`;
+  }
+
+  /**
+   * トークン数の概算（ASCII文字は4文字で1トークン、それ以外は1文字1トークン）
+   */
+  estimateTokens(text) {
+    let asciiChars = 0;
+    let otherChars = 0;
+    for (const char of text) {
+      if (char.charCodeAt(0) < 128) {
+        asciiChars++;
+      } else {
+        otherChars++;
+      }
+    }
+    return Math.ceil(asciiChars / 4) + otherChars;
+  }
+
+  truncateToTokens(text, maxTokens) {
+    if (this.estimateTokens(text) <= maxTokens) {
+      return text;
+    }
+
+    let tokens = 0;
+    let result = '';
+    for (const char of text) {
+      tokens += char.charCodeAt(0) < 128 ? 0.25 : 1;
+      if (tokens > maxTokens - 1) {
+        break;
+      }
+      result += char;
     }
+    return `${result}…`;
+  }
+
+  /**
+   * 分析結果の JSON スキーマ（Azure OpenAI の response_format とローカルLLMサーバーの出力制約、応答の検証に使用）
+   */
+  getClaimAnalysisSchema() {
+    const taxonomy = getClaimTaxonomy();
+    return {
+      type: 'object',
+      properties: {
+        isClaim: { type: 'boolean' },
+        confidence: { type: 'number' },
+        category: { type: 'string', enum: taxonomy.categoryIds },
+        severity: { type: 'string', enum: taxonomy.severityIds },
+        reason: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        summary: { type: 'string' }
+      },
+      required: ['isClaim', 'confidence', 'category', 'severity', 'reason', 'keywords', 'summary'],
+      additionalProperties: false
+    };
   }
 
-  async analyzeEmailForClaim(emailContent, subject = '', sender = '', debug = false) {
+  parseAnalysisResult(result, debug = false) {
+    if (debug) {
+      console.log(`\n🔍 ===== ${this.getServiceName()} DEBUG: パース詳細 =====`);
+      console.log('📝 生レスポンス長:', result?.length || 0, '文字');
+      console.log('📝 生レスポンス内容:');
+      console.log('---始まり---');
+      console.log(result);
+      console.log('---終わり---');
+    }
+
+    const jsonText = JsonResponseParser.extractJsonObject(result);
+    if (!jsonText) {
+      const parseError = !result || result.trim() === '' ? 'Empty or null response' : 'No JSON structure found in response';
+      return this.buildParseErrorResult(result, parseError, debug);
+    }
+
+    let parsed;
     try {
-      const prompt = this.buildClaimAnalysisPrompt(emailContent, subject, sender);
+      parsed = JSON.parse(jsonText);
+    } catch (jsonParseError) {
+      return this.buildParseErrorResult(result, `JSON parse failed: ${jsonParseError.message}`, debug);
+    }
+
+    const validationErrors = JsonResponseParser.validate(parsed, this.getClaimAnalysisSchema());
+    if (validationErrors.length > 0) {
+      return this.buildParseErrorResult(result, `Schema validation failed: ${validationErrors.join('; ')}`, debug);
+    }
+
+    const processedResult = {
+      isClaim: parsed.isClaim,
+      confidence: Math.min(Math.max(Math.round(parsed.confidence), 0), 100),
+      category: parsed.category,
+      severity: parsed.severity,
+      reason: parsed.reason,
+      keywords: parsed.keywords,
+      summary: parsed.summary,
+      rawResponse: result
+    };
+
+    if (debug) {
+      console.log('✅ 最終処理結果:', JSON.stringify(processedResult, null, 2));
+      console.log('=================================\n');
+    }
+
+    return processedResult;
+  }
+
+  /**
+   * 応答を解析できなかった場合の分析結果を作成
+   */
+  buildParseErrorResult(result, parseError, debug = false) {
+    if (debug) {
+      console.log('❌ パースエラー:', parseError);
+      console.log('=================================\n');
+    }
+
+    return {
+      isClaim: false,
+      confidence: 0,
+      category: getClaimTaxonomy().fallbackCategory,
+      severity: getClaimTaxonomy().fallbackSeverity,
+      reason: `${this.getServiceName()}応答の解析に失敗しました: ${parseError}`,
+      keywords: [],
+      summary: '',
+      rawResponse: result,
+      parseError,
+      outcome: 'parse_error'
+    };
+  }
+
+  /**
+   * 形式が正しくなかった応答と検証エラーを伝え、再回答を求めるプロンプトを作成
+   */
+  buildSchemaRetryPrompt(prompt, previousResponse, parseError) {
+    return this.prompts.render('schemaRetry', {
+      prompt,
+      previousResponse: this.truncateToTokens(previousResponse || '（空の応答）', 1000),
+      parseError
+    });
+  }
+
+  /**
+   * メールがクレームかどうかを分析
+   * @param {string} emailContent - メール本文
+   * @param {string} subject - 件名
+   * @param {string} sender - 差出人
+   * @param {boolean} debug - デバッグモード
+   * @param {Object} context - 追加の分析コンテキスト
+   * @param {Object} context.threadContext - 同じスレッドの過去メール（buildThreadContextSection 参照）
+   * @param {Object} context.attachmentContext - 添付ファイルの抽出テキスト（buildAttachmentSection 参照）
+   * @param {AbortSignal} context.signal - キャンセル用のシグナル（対応しているサービスのみ）
+   */
+  async analyzeEmailForClaim(emailContent, subject = '', sender = '', debug = false, context = {}) {
+    try {
+      const prompt = this.buildClaimAnalysisPrompt(emailContent, subject, sender, context.threadContext, context.attachmentContext);
       
       if (debug) {
         console.log(`\n🔧 ===== ${this.getServiceName()} DEBUG: リクエスト =====`);
@@ -181,10 +444,32 @@ ${emailContent}
         console.log('👤 差出人:', sender);
         console.log('📝 メール本文:');
         console.log(emailContent.substring(0, 200) + (emailContent.length > 200 ? '...' : ''));
+        if (context.threadContext) {
+          console.log('🧵 スレッド履歴:', context.threadContext.history.length, '件');
+        }
+        if (context.attachmentContext) {
+          console.log('📎 添付ファイル:', context.attachmentContext.attachments.map(attachment => attachment.name).join(', '));
+        }
       }
       
-      const result = await this.callAI(prompt, debug);
-      const parsedResult = this.parseAnalysisResult(result, debug);
+      const callOptions = {
+        systemPrompt: this.prompts.render('claimAnalysis.system'),
+        signal: context.signal,
+        responseSchema: { name: 'claim_analysis', schema: this.getClaimAnalysisSchema() }
+      };
+      let result = await this.callAI(prompt, debug, callOptions);
+      let parsedResult = this.parseAnalysisResult(result, debug);
+
+      // スキーマに合わない応答は、検証エラーを伝えて1回だけ再回答を求める
+      if (parsedResult.parseError) {
+        console.warn(`⚠️ ${this.getServiceName()} returned an invalid response (${parsedResult.parseError}), asking again`);
+        result = await this.callAI(this.buildSchemaRetryPrompt(prompt, result, parsedResult.parseError), debug, callOptions);
+        parsedResult = this.parseAnalysisResult(result, debug);
+
+        if (parsedResult.parseError) {
+          console.error(`${this.getServiceName()} response was still invalid after asking again: ${parsedResult.parseError}`);
+        }
+      }
 
       if (debug) {
         console.log(`\n🔧 ===== ${this.getServiceName()} DEBUG: 解析結果 =====`);
@@ -198,18 +483,25 @@ ${emailContent}
         
         if (parsedResult.parseError) {
           console.log('❌ パースエラー詳細:', parsedResult.parseError);
-        }
-        
-        if (parsedResult.confidence === 0 && parsedResult.reason.includes('失敗')) {
           console.log('⚠️  注意: 解析失敗により、デフォルト値が使用されています');
         }
         
         console.log('=================================\n');
       }
 
-      return parsedResult;
+      return { ...parsedResult, promptVersion: this.prompts.promptVersion };
 
     } catch (error) {
+      // コンテンツフィルターによるブロックはエラーではなく分析結果の一種として記録する
+      if (error instanceof ContentFilterError) {
+        console.warn(`⚠️ ${this.getServiceName()} content filter blocked the ${error.stage}: ${subject}`);
+        return { ...this.buildContentFilteredResult(error), promptVersion: this.prompts.promptVersion };
+      }
+
+      if (context.signal?.aborted) {
+        throw error;
+      }
+
       if (debug) {
         console.log(`\n🔧 ===== ${this.getServiceName()} DEBUG: エラー =====`);
         console.log('❌ エラータイプ:', error.constructor.name);
@@ -222,30 +514,42 @@ ${emailContent}
     }
   }
 
+  /**
+   * コンテンツフィルターでブロックされたメールの分析結果を作成
+   */
+  buildContentFilteredResult(error) {
+    return {
+      isClaim: false,
+      confidence: 0,
+      category: getClaimTaxonomy().fallbackCategory,
+      severity: getClaimTaxonomy().fallbackSeverity,
+      reason: `${this.getServiceName()} のコンテンツフィルターにより${error.stage === 'prompt' ? 'メール内容' : '応答'}がブロックされたため判定できませんでした`,
+      keywords: [],
+      summary: '',
+      rawResponse: error.details ? JSON.stringify(error.details) : null,
+      outcome: 'content_filtered'
+    };
+  }
+
   async generateClaimReport(claims) {
     if (claims.length === 0) {
       return 'クレームが検出されませんでした。';
     }
 
-    const prompt = `以下のクレーム一覧から要約レポートを作成してください：
-
-${claims.map((claim, index) => `
-${index + 1}. 件名: ${claim.subject}
-   カテゴリ: ${claim.category}
-   重要度: ${claim.severity}
-   要約: ${claim.summary}
-   日時: ${claim.receivedDateTime}
-`).join('\n')}
-
-以下の形式でレポートを作成してください：
-- 総件数と期間
-- カテゴリ別集計
-- 重要度別集計
-- 主要な問題の傾向
-- 対応が必要な優先案件`;
+    const claimItems = claims.map((claim, index) => this.prompts.render('claimReport.item', {
+      index: index + 1,
+      subject: claim.subject,
+      category: claim.category,
+      severity: claim.severity,
+      summary: claim.summary,
+      receivedDateTime: claim.receivedDateTime
+    }));
+    const prompt = this.prompts.render('claimReport.user', {
+      claims: claimItems.map(item => `\n${item}\n`).join('\n')
+    });
 
     try {
-      const result = await this.callAI(prompt, false);
+      const result = await this.callAI(prompt, false, { systemPrompt: this.prompts.render('claimReport.system') });
       return result;
     } catch (error) {
       console.error(`Error generating claim report with ${this.getServiceName()}:`, error);
@@ -254,7 +558,8 @@ ${index + 1}. 件名: ${claim.subject}
   }
 
   // 抽象メソッド - 子クラスで実装必須
-  async callAI(prompt, debug = false) {
+  // options.systemPrompt: システムプロンプト / options.signal: キャンセル用のシグナル / options.responseSchema: 応答を制約する JSON スキーマ { name, schema }
+  async callAI(prompt, debug = false, options = {}) {
     throw new Error('callAI method must be implemented by subclass');
   }
 
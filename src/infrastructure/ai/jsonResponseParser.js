@@ -0,0 +1,127 @@
+/**
+ * AI の応答から JSON を取り出し、JSON スキーマで検証するユーティリティ
+ * 検証は分析結果のスキーマで使用するキーワード（type, enum, required, properties, additionalProperties, items, minimum, maximum）のみに対応する
+ */
+export class JsonResponseParser {
+  /**
+   * 応答から最初の JSON オブジェクトを取り出す
+   * 応答全体が JSON でない場合は、前後の説明文を除いて最初の `{` から対応する `}` までを取り出す
+   * @param {string} text - AI の応答
+   * @returns {string|null} JSON 文字列（見つからない場合はnull）
+   */
+  static extractJsonObject(text) {
+    if (!text) {
+      return null;
+    }
+
+    const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = trimmed.indexOf('{');
+    if (start === -1) {
+      return null;
+    }
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < trimmed.length; i++) {
+      const char = trimmed[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return trimmed.substring(start, i + 1);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 値を JSON スキーマで検証
+   * @param {*} value - 検証する値
+   * @param {Object} schema - JSON スキーマ
+   * @param {string} path - エラーメッセージに使用するパス
+   * @returns {Array<string>} エラーメッセージの配列（妥当な場合は空配列）
+   */
+  static validate(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+      return errors;
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push(`${path} must be ${schema.type}`);
+      return errors;
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (schema.type === 'object') {
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+
+      for (const [key, propertyValue] of Object.entries(value)) {
+        const propertySchema = schema.properties?.[key];
+        if (propertySchema) {
+          errors.push(...this.validate(propertyValue, propertySchema, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  static matchesType(value, type) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+}
@@ -1,23 +1,69 @@
 import { ONNXNPUServer } from '../../servers/onnxNpuServer.js';
+import { config } from '../../config/config.js';
 import { BaseAIService } from './baseAIService.js';
 
 export class LocalLLMService extends BaseAIService {
   constructor() {
-    super();
-    this.endpoint = 'http://localhost:5834/api/chat/completions';
+    super({
+      concurrency: config.localLLM.concurrency,
+      requestDelayMs: config.localLLM.requestDelayMs,
+      promptBackend: 'local'
+    });
+    this.baseUrl = config.localLLM.baseUrl.replace(/\/+$/, '');
+    this.endpoint = `${this.baseUrl}/api/chat/completions`;
+    this.isRemote = config.localLLM.serverMode === 'remote';
     this.onnxServer = null;
     this.isServerManaged = false;
   }
 
+  async prepare() {
+    if (this.isRemote) {
+      console.log(`🤖 Local LLM mode detected, connecting to ${this.baseUrl}...`);
+    } else {
+      console.log('🤖 Local LLM mode detected, starting ONNX NPU Server...');
+    }
+
+    const serverStarted = await this.startServer();
+    if (!serverStarted) {
+      throw new Error(this.isRemote
+        ? `Local LLM server at ${this.baseUrl} is not available`
+        : 'Failed to start ONNX NPU Server');
+    }
+  }
+
+  async shutdown() {
+    await this.stopServer();
+  }
+
   async startServer() {
     try {
       // サーバーが既に起動しているかチェック
       const healthCheck = await this.checkServerHealth();
       if (healthCheck.status === 'ok') {
-        console.log('🟢 ONNX NPU Server is already running');
+        console.log(`🟢 ONNX NPU Server is already running (${this.baseUrl})`);
         return true;
       }
 
+      // サーバーは起動しているがモデルを読み込めなかった場合は、起動し直さずに理由を表示する
+      if (healthCheck.model_loaded === false && healthCheck.error) {
+        console.error(`❌ Local LLM server at ${this.baseUrl} has no model loaded: ${healthCheck.message}`);
+        return false;
+      }
+
+      // モデルの読み込み中は失敗とせず、読み込みの完了を待つ
+      if (healthCheck.status === 'loading') {
+        console.log(`⏳ Local LLM server at ${this.baseUrl} is still loading the model`);
+        await this.waitForServer();
+        console.log('✅ Local LLM server is ready');
+        return true;
+      }
+
+      // リモートのサーバーは起動できないため、接続できない場合は失敗とする
+      if (this.isRemote) {
+        console.error(`❌ Cannot connect to Local LLM server at ${this.baseUrl}: ${healthCheck.message}`);
+        return false;
+      }
+
       console.log('🔵 Starting ONNX NPU Server...');
       this.onnxServer = new ONNXNPUServer();
       await this.onnxServer.start();
@@ -29,7 +75,8 @@ export class LocalLLMService extends BaseAIService {
       return true;
       
     } catch (error) {
-      console.error('❌ Failed to start ONNX NPU Server:', error);
+      console.error('❌ Failed to start ONNX NPU Server:', error.message);
+      await this.stopServer();
       return false;
     }
   }
@@ -46,10 +93,19 @@ export class LocalLLMService extends BaseAIService {
 
   async checkServerHealth() {
     try {
-      const response = await fetch(`http://localhost:5834/health`, {
+      const response = await fetch(`${this.baseUrl}/health`, {
         method: 'GET',
-        timeout: 5000
+        headers: this.buildAuthHeaders(),
+        signal: AbortSignal.timeout(5000)
       });
+      if (!response.ok) {
+        // モデルの読み込み中・読み込み失敗時、サーバーは 503 で状態と理由を返す
+        const body = await response.json().catch(() => null);
+        if (body?.status === 'loading' && !body.error) {
+          return { ...body, message: 'Model is still loading' };
+        }
+        return { ...body, status: 'error', message: body?.error || `HTTP ${response.status}` };
+      }
       return await response.json();
     } catch (error) {
       return { status: 'error', message: error.message };
@@ -59,32 +115,62 @@ export class LocalLLMService extends BaseAIService {
   async waitForServer(maxRetries = 30, intervalMs = 1000) {
     for (let i = 0; i < maxRetries; i++) {
       const health = await this.checkServerHealth();
-      if (health.status === 'ok' && health.model_loaded) {
+      // model_loaded を返さないサーバーは、応答があればモデルを読み込み済みとみなす
+      if (health.status === 'ok' && health.model_loaded !== false) {
         return true;
       }
+      if (health.model_loaded === false && health.error) {
+        throw new Error(`Model failed to load: ${health.error}`);
+      }
       console.log(`⏳ Waiting for server... (${i + 1}/${maxRetries})`);
       await new Promise(resolve => setTimeout(resolve, intervalMs));
     }
     throw new Error('Server failed to start within timeout period');
   }
 
-  async callAI(prompt, debug = false) {
+  buildAuthHeaders() {
+    if (!config.localLLM.apiKey) {
+      return {};
+    }
+
+    const header = config.localLLM.apiKeyHeader;
+    const value = header.toLowerCase() === 'authorization' ? `Bearer ${config.localLLM.apiKey}` : config.localLLM.apiKey;
+    return { [header]: value };
+  }
+
+  /**
+   * @param {string} prompt - プロンプト
+   * @param {boolean} debug - デバッグモード
+   * @param {Object} options - オプション
+   * @param {string} options.systemPrompt - システムプロンプト
+   * @param {AbortSignal} options.signal - キャンセル用のシグナル
+   * @param {Object} options.responseSchema - 応答を制約する JSON スキーマ { name, schema }
+   */
+  async callAI(prompt, debug = false, options = {}) {
     const requestPayload = {
+      ...(config.localLLM.model ? { model: config.localLLM.model } : {}),
       messages: [
         {
           role: 'system',
-          content: 'あなたは情シス部門がユーザから受けるメールがクレームかどうかを判定する専門のAIアシスタントです。日本語で回答してください。'
+          content: options.systemPrompt
         },
         {
           role: 'user',
           content: prompt
         }
       ],
-      max_tokens: 2000,
-      temperature: 0.7,
+      max_tokens: config.localLLM.maxTokens,
+      temperature: config.localLLM.temperature,
       stream: false
     };
 
+    if (options.responseSchema) {
+      requestPayload.response_format = {
+        type: 'json_schema',
+        json_schema: options.responseSchema
+      };
+    }
+
     if (debug) {
       console.log('\n🤖 Local LLMへのリクエスト:');
       console.log('エンドポイント:', this.endpoint);
@@ -92,14 +178,26 @@ export class LocalLLMService extends BaseAIService {
       console.log('================================\n');
     }
     
+    const timeoutSignal = AbortSignal.timeout(config.localLLM.timeoutSeconds * 1000);
     const response = await fetch(this.endpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...this.buildAuthHeaders()
       },
-      body: JSON.stringify(requestPayload)
+      body: JSON.stringify(requestPayload),
+      signal: options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal
     });
 
+    // 内蔵サーバーは response_format に合わない生成結果を 422 で返すため、生成結果を応答として扱い再問い合わせに回す
+    if (response.status === 422 && options.responseSchema) {
+      const body = await response.json().catch(() => null);
+      if (body?.error?.type === 'invalid_response_format') {
+        console.warn(`⚠️ Local LLM rejected its own output: ${body.error.message}`);
+        return body.error.content ?? '';
+      }
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -0,0 +1,111 @@
+import { config } from '../../config/config.js';
+import { BaseAIService } from './baseAIService.js';
+
+/**
+ * Ollama のネイティブ API（/api/chat）を使用する AI サービス
+ * 応答の JSON スキーマは Ollama の構造化出力（format）で指定する
+ */
+export class OllamaService extends BaseAIService {
+  constructor() {
+    super({
+      concurrency: config.ollama.concurrency,
+      requestDelayMs: config.ollama.requestDelayMs,
+      promptBackend: 'ollama'
+    });
+    this.baseUrl = config.ollama.baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Ollama サーバーに接続でき、モデルが取得済みであることを確認
+   */
+  async prepare() {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/tags`, { signal: AbortSignal.timeout(5000) });
+    } catch (error) {
+      throw new Error(`Cannot connect to Ollama at ${this.baseUrl}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Cannot connect to Ollama at ${this.baseUrl}: HTTP ${response.status}`);
+    }
+
+    const { models = [] } = await response.json();
+    const modelNames = models.map(model => model.name);
+    // タグを省略したモデル名は :latest として扱われる
+    const model = config.ollama.model.includes(':') ? config.ollama.model : `${config.ollama.model}:latest`;
+    if (!modelNames.includes(model)) {
+      throw new Error(`Ollama model "${config.ollama.model}" is not available (run: ollama pull ${config.ollama.model})`);
+    }
+  }
+
+  /**
+   * @param {string} prompt - プロンプト
+   * @param {boolean} debug - デバッグモード
+   * @param {Object} options - オプション
+   * @param {string} options.systemPrompt - システムプロンプト
+   * @param {AbortSignal} options.signal - キャンセル用のシグナル
+   * @param {Object} options.responseSchema - 応答を制約する JSON スキーマ { name, schema }
+   */
+  async callAI(prompt, debug = false, options = {}) {
+    const requestPayload = {
+      model: config.ollama.model,
+      messages: [
+        {
+          role: 'system',
+          content: options.systemPrompt
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      stream: false
+    };
+
+    if (options.responseSchema) {
+      requestPayload.format = options.responseSchema.schema;
+    }
+
+    if (debug) {
+      console.log('\n🤖 Ollamaへのリクエスト:');
+      console.log('エンドポイント:', `${this.baseUrl}/api/chat`);
+      console.log('リクエストペイロード:', JSON.stringify(requestPayload, null, 2));
+      console.log('================================\n');
+    }
+
+    const timeoutSignal = AbortSignal.timeout(config.ollama.timeoutSeconds * 1000);
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestPayload),
+      signal: options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Ollama request failed: HTTP ${response.status} ${body}`);
+    }
+
+    const data = await response.json();
+
+    if (debug) {
+      console.log('\n🔧 ===== Ollama DEBUG: レスポンス =====');
+      console.log('- モデル:', data.model || 'N/A');
+      console.log('- プロンプトトークン数:', data.prompt_eval_count || 'N/A');
+      console.log('- 完了トークン数:', data.eval_count || 'N/A');
+      console.log('- done_reason:', data.done_reason || 'N/A');
+      console.log('\n💬 Ollamaからの生レスポンス:');
+      console.log(data.message?.content || '❌ 警告: メッセージコンテンツが空');
+      console.log('===================================\n');
+    }
+
+    return data.message?.content;
+  }
+
+  getServiceName() {
+    return 'Ollama';
+  }
+}
@@ -0,0 +1,94 @@
+import OpenAI from 'openai';
+import { config } from '../../config/config.js';
+import { BaseAIService, ContentFilterError } from './baseAIService.js';
+
+/**
+ * OpenAI 互換の Chat Completions API（OpenAI、vLLM、LM Studio、llama.cpp server など）を使用する AI サービス
+ */
+export class OpenAICompatibleService extends BaseAIService {
+  constructor() {
+    super({
+      concurrency: config.openaiCompatible.concurrency,
+      requestDelayMs: config.openaiCompatible.requestDelayMs,
+      promptBackend: 'openai'
+    });
+    this.client = null;
+  }
+
+  initialize() {
+    this.client = new OpenAI({
+      // ローカルサーバーなど API キーが不要な場合も SDK が API キーを必須とするため、ダミー値を設定する
+      apiKey: config.openaiCompatible.apiKey || 'not-needed',
+      baseURL: config.openaiCompatible.baseUrl,
+      timeout: config.openaiCompatible.timeoutSeconds * 1000,
+      maxRetries: config.openaiCompatible.maxRetries,
+    });
+  }
+
+  /**
+   * @param {string} prompt - プロンプト
+   * @param {boolean} debug - デバッグモード
+   * @param {Object} options - オプション
+   * @param {string} options.systemPrompt - システムプロンプト
+   * @param {AbortSignal} options.signal - キャンセル用のシグナル
+   * @param {Object} options.responseSchema - 応答を制約する JSON スキーマ { name, schema }
+   */
+  async callAI(prompt, debug = false, options = {}) {
+    const requestPayload = {
+      model: config.openaiCompatible.model,
+      messages: [
+        {
+          role: 'system',
+          content: options.systemPrompt
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      // 互換サーバーの多くは max_completion_tokens に対応していないため max_tokens を使用する
+      max_tokens: 2000,
+    };
+
+    if (options.responseSchema && config.openaiCompatible.structuredOutputs) {
+      requestPayload.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.responseSchema.name,
+          strict: true,
+          schema: options.responseSchema.schema
+        }
+      };
+    }
+
+    if (debug) {
+      console.log('\n🤖 OpenAI互換APIへのリクエスト:');
+      console.log('エンドポイント:', config.openaiCompatible.baseUrl);
+      console.log('リクエストペイロード:', JSON.stringify(requestPayload, null, 2));
+      console.log('================================\n');
+    }
+
+    const response = await this.client.chat.completions.create(requestPayload, { signal: options.signal });
+    const choice = response.choices?.[0];
+
+    if (debug) {
+      console.log('\n🔧 ===== OpenAI互換API DEBUG: レスポンス =====');
+      console.log('- モデル:', response.model || 'N/A');
+      console.log('- 総トークン数:', response.usage?.total_tokens || 'N/A');
+      console.log('- choice.finish_reason:', choice?.finish_reason || 'N/A');
+      console.log('\n💬 OpenAI互換APIからの生レスポンス:');
+      console.log(choice?.message?.content || '❌ 警告: メッセージコンテンツが空');
+      console.log('===================================\n');
+    }
+
+    if (choice?.finish_reason === 'content_filter') {
+      throw new ContentFilterError(`${this.getServiceName()} content filter blocked the completion`, 'completion');
+    }
+
+    return choice?.message?.content;
+  }
+
+  getServiceName() {
+    return 'OpenAI Compatible API';
+  }
+}
@@ -1,136 +1,51 @@
 import OpenAI from 'openai';
 import { config } from '../../config/config.js';
-import { BaseAIService } from './baseAIService.js';
+import { BaseAIService, ContentFilterError } from './baseAIService.js';
+import { TokenRateLimiter } from './tokenRateLimiter.js';
+
+// リトライ対象のステータスコード（レート制限・一時的なサーバーエラー）
+const RETRY_STATUS_CODES = [408, 429, 500, 502, 503, 504];
 
 export class OpenAIService extends BaseAIService {
   constructor() {
-    super();
+    super({
+      concurrency: config.openai.concurrency,
+      requestDelayMs: config.openai.requestDelayMs,
+      promptBackend: 'azure'
+    });
     this.client = null;
-    this.concurrentLimit = 3; // デフォルト同時実行数
-    this.requestQueue = [];
-    this.activeRequests = 0;
+    // 逐次処理と同時実行処理（analyzeEmailsConcurrently）で共有する
+    this.rateLimiter = new TokenRateLimiter(config.openai.tokensPerMinute);
   }
 
   initialize() {
     this.client = new OpenAI({
       apiKey: config.openai.apiKey,
       baseURL: `${config.openai.endpoint}/openai/deployments/${config.openai.deploymentName}`,
-      defaultQuery: { 'api-version': '2024-02-15-preview' },
+      defaultQuery: { 'api-version': config.openai.apiVersion },
       defaultHeaders: {
         'api-key': config.openai.apiKey,
       },
+      timeout: config.openai.timeoutSeconds * 1000,
+      // リトライは retry-after-ms への対応とレートリミッターとの連携のため createChatCompletion で行う
+      maxRetries: 0,
     });
   }
 
   /**
-   * 同時実行数を設定
-   * @param {number} limit - 同時実行数の上限
-   */
-  setConcurrentLimit(limit) {
-    this.concurrentLimit = Math.max(1, parseInt(limit) || 3);
-    console.log(`Azure OpenAI concurrent limit set to: ${this.concurrentLimit}`);
-  }
-
-  /**
-   * 複数のメールを同時並行で分析
-   * @param {Array} emails - 分析対象のメール配列
+   * @param {string} prompt - プロンプト
    * @param {boolean} debug - デバッグモード
-   * @returns {Array} - 分析結果の配列
+   * @param {Object} options - オプション
+   * @param {string} options.systemPrompt - システムプロンプト
+   * @param {AbortSignal} options.signal - キャンセル用のシグナル
+   * @param {Object} options.responseSchema - 応答を制約する JSON スキーマ { name, schema }（Structured Outputs）
    */
-  async analyzeEmailsConcurrently(emails, debug = false) {
-    if (!emails || emails.length === 0) {
-      return [];
-    }
-
-    console.log(`📧 Analyzing ${emails.length} emails with concurrency limit: ${this.concurrentLimit}`);
-    
-    const results = [];
-    const totalEmails = emails.length;
-    let processedCount = 0;
-
-    // メール配列をチャンク単位に分割
-    const chunks = this.chunkArray(emails, this.concurrentLimit);
-    
-    for (const chunk of chunks) {
-      // 各チャンクを並行処理
-      const chunkPromises = chunk.map(async (email, index) => {
-        try {
-          const emailText = email.bodyContent || '';
-          const subject = email.subject || '';
-          const sender = `${email.senderName || ''} <${email.senderEmail || ''}>`;
-          
-          if (debug) {
-            console.log(`🔍 Analyzing email ${processedCount + index + 1}/${totalEmails}: ${subject.substring(0, 50)}...`);
-          }
-          
-          const result = await this.analyzeEmailForClaim(emailText, subject, sender, debug);
-          return {
-            emailId: email.id || email.emailId,
-            result: result
-          };
-        } catch (error) {
-          console.error(`Error analyzing email ${email.id}:`, error);
-          return {
-            emailId: email.id || email.emailId,
-            result: {
-              isClaim: false,
-              confidence: 0,
-              category: 'other',
-              severity: 'medium',
-              reason: `分析エラー: ${error.message}`,
-              keywords: [],
-              summary: '',
-              error: error.message
-            }
-          };
-        }
-      });
-
-      // チャンクの全ての処理完了を待機
-      const chunkResults = await Promise.all(chunkPromises);
-      results.push(...chunkResults);
-      
-      processedCount += chunk.length;
-      console.log(`📊 Progress: ${processedCount}/${totalEmails} emails processed`);
-      
-      // API レート制限を考慮した適切な間隔を設ける
-      if (processedCount < totalEmails) {
-        await this.delay(1000); // チャンク間の待機時間
-      }
-    }
-
-    console.log(`✅ Completed analyzing ${totalEmails} emails concurrently`);
-    return results;
-  }
-
-  /**
-   * 配列を指定サイズのチャンクに分割
-   * @param {Array} array - 分割対象の配列
-   * @param {number} size - チャンクサイズ
-   * @returns {Array} - チャンクの配列
-   */
-  chunkArray(array, size) {
-    const chunks = [];
-    for (let i = 0; i < array.length; i += size) {
-      chunks.push(array.slice(i, i + size));
-    }
-    return chunks;
-  }
-
-  /**
-   * 待機時間
-   * @param {number} ms - ミリ秒
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  async callAI(prompt, debug = false) {
+  async callAI(prompt, debug = false, options = {}) {
     const requestPayload = {
       messages: [
         {
           role: 'system',
-          content: 'あなたは情シス部門がユーザから受けるメールがクレームかどうかを判定する専門のAIアシスタントです。日本語で回答してください。'
+          content: options.systemPrompt
         },
         {
           role: 'user',
@@ -141,6 +56,17 @@ export class OpenAIService extends BaseAIService {
       temperature: 1,
     };
 
+    if (options.responseSchema && config.openai.structuredOutputs) {
+      requestPayload.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.responseSchema.name,
+          strict: true,
+          schema: options.responseSchema.schema
+        }
+      };
+    }
+
     if (debug) {
       console.log('\n🤖 AOAIへのリクエスト:');
       console.log('エンドポイント:', `${config.openai.endpoint}/openai/deployments/${config.openai.deploymentName}`);
@@ -148,7 +74,7 @@ export class OpenAIService extends BaseAIService {
       console.log('================================\n');
     }
     
-    const response = await this.client.chat.completions.create(requestPayload);
+    const response = await this.createChatCompletion(requestPayload, options.signal);
 
     if (debug) {
       console.log('\n🔧 ===== AOAI DEBUG: レスポンス =====');
@@ -182,221 +108,96 @@ export class OpenAIService extends BaseAIService {
       console.log('===================================\n');
     }
 
-    return response.choices[0].message.content;
-  }
+    if (response.choices?.[0]?.finish_reason === 'content_filter') {
+      throw new ContentFilterError(
+        'Azure OpenAI content filter blocked the completion',
+        'completion',
+        response.choices[0].content_filter_results || null
+      );
+    }
 
-  getServiceName() {
-    return 'Azure OpenAI';
+    return response.choices[0].message.content;
   }
 
-  buildClaimAnalysisPrompt(emailContent, subject, sender) {
-    return `以下のメールを分析し、顧客からのクレームかどうかを判定してください。催促を受けている場合も、クレームとみなします。：
-
-件名: ${subject}
-差出人: ${sender}
-本文:
-${emailContent}
-
-以下の形式でJSONレスポンスを返してください：
-{
-  "isClaim": boolean,
-  "confidence": number (0-100),
-  "category": string ("answer quality", "answer delay", "point less conversation", "communication", "other", "not_claim"),
-  "severity": string ("low", "medium", "high"),
-  "reason": string (判定理由),
-  "keywords": array (クレーム判定に使用したキーワード),
-  "summary": string (要約)
-}
+  /**
+   * レート制限・一時的なエラー・タイムアウト時にリトライしながら Chat Completions API を呼び出す
+   * @param {Object} requestPayload - リクエストペイロード
+   * @param {AbortSignal} signal - キャンセル用のシグナル
+   * @returns {Promise<Object>} APIレスポンス
+   */
+  async createChatCompletion(requestPayload, signal = null) {
+    // Azure OpenAI はプロンプトのトークン数と max_completion_tokens の合計で TPM を計算するため、同じ基準で見積もる
+    const estimatedTokens = this.estimateTokens(requestPayload.messages.map(message => message.content).join('\n')) +
+      requestPayload.max_completion_tokens;
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      await this.rateLimiter.acquire(estimatedTokens, signal);
+      signal?.throwIfAborted();
+
+      try {
+        return await this.client.chat.completions.create(requestPayload, { signal });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
 
-判定基準:
-- 不満、苦情、問題の報告が含まれているか
-- 解決や対応を求める内容か
-- 否定的な感情表現があるか
-- IT supportに対する批判的な内容があるか
-- 改善要求があるか
+        if (this.isContentFilterError(error)) {
+          throw new ContentFilterError(
+            'Azure OpenAI content filter blocked the prompt',
+            'prompt',
+            error.error?.innererror?.content_filter_result || null
+          );
+        }
 
-キーワード例: 困っている、問題、不満、おかしい、間違い、対応、解決、返金、交換、苦情、クレーム、不具合、故障、未回答、遅延、催促`;
-  }
+        if (!this.isRetryableError(error) || attempt >= config.openai.maxRetries) {
+          throw error;
+        }
 
-  parseAnalysisResult(result, debug = false) {
-    if (debug) {
-      console.log('\n🔍 ===== AOAI DEBUG: パース詳細 =====');
-      console.log('📝 生レスポンス長:', result?.length || 0, '文字');
-      console.log('📝 生レスポンス内容:');
-      console.log('---始まり---');
-      console.log(result);
-      console.log('---終わり---');
-    }
+        const delayMs = this.getRetryDelayMs(error, attempt);
+        if (error.status === 429) {
+          // 同時実行中の他のリクエストも含めて待機させる
+          this.rateLimiter.pause(delayMs);
+        }
 
-    if (!result || result.trim() === '') {
-      if (debug) {
-        console.log('❌ パースエラー: 空またはnullのレスポンス');
-        console.log('=================================\n');
+        console.warn(`Azure OpenAI request failed (${error.status || error.message}), retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt + 1}/${config.openai.maxRetries})`);
+        await this.delay(delayMs, signal);
       }
-      return {
-        isClaim: false,
-        confidence: 0,
-        category: 'other',
-        severity: 'medium',
-        reason: 'Azure OpenAIから空のレスポンスが返されました',
-        keywords: [],
-        summary: '',
-        rawResponse: result,
-        parseError: 'Empty or null response'
-      };
     }
+  }
 
-    try {
-      const jsonMatch = result.match(/\{[\s\S]*\}/);
-      if (debug) {
-        console.log('🔍 JSON正規表現マッチ:', jsonMatch ? '成功' : '失敗');
-        if (jsonMatch) {
-          console.log('📊 抽出されたJSON:');
-          console.log(jsonMatch[0]);
-        }
-      }
-      
-      if (jsonMatch) {
-        try {
-          const parsed = JSON.parse(jsonMatch[0]);
-          if (debug) {
-            console.log('✅ JSONパース: 成功');
-            console.log('📊 パース後オブジェクト:', JSON.stringify(parsed, null, 2));
-          }
-
-          const validCategories = ["answer quality", "answer delay", "point less conversation", "communication", "other", "not_claim"];
-          const validSeverities = ['low', 'medium', 'high'];
-          
-          if (debug) {
-            console.log('🔍 フィールド検証:');
-            console.log('  - isClaim:', typeof parsed.isClaim, parsed.isClaim);
-            console.log('  - confidence:', typeof parsed.confidence, parsed.confidence);
-            console.log('  - category:', typeof parsed.category, parsed.category, validCategories.includes(parsed.category) ? '✅' : '❌');
-            console.log('  - severity:', typeof parsed.severity, parsed.severity, validSeverities.includes(parsed.severity) ? '✅' : '❌');
-            console.log('  - reason:', typeof parsed.reason, parsed.reason?.length || 0, '文字');
-            console.log('  - keywords:', Array.isArray(parsed.keywords) ? '✅配列' : '❌非配列', parsed.keywords?.length || 0, '個');
-            console.log('  - summary:', typeof parsed.summary, parsed.summary?.length || 0, '文字');
-          }
-          
-          const processedResult = {
-            isClaim: Boolean(parsed.isClaim),
-            confidence: Math.min(Math.max(parseInt(parsed.confidence) || 0, 0), 100),
-            category: validCategories.includes(parsed.category) ? parsed.category : 'other',
-            severity: validSeverities.includes(parsed.severity) ? parsed.severity : 'medium',
-            reason: parsed.reason || '',
-            keywords: Array.isArray(parsed.keywords) ? parsed.keywords : [],
-            summary: parsed.summary || '',
-            rawResponse: result
-          };
-
-          if (debug) {
-            console.log('✅ 最終処理結果:', JSON.stringify(processedResult, null, 2));
-            console.log('=================================\n');
-          }
+  isContentFilterError(error) {
+    return error.status === 400 && error.code === 'content_filter';
+  }
 
-          return processedResult;
-        } catch (jsonParseError) {
-          if (debug) {
-            console.log('❌ JSONパース失敗:', jsonParseError.message);
-            console.log('❌ パース対象文字列:', jsonMatch[0].substring(0, 500) + '...');
-            console.log('=================================\n');
-          }
-          return {
-            isClaim: false,
-            confidence: 0,
-            category: 'other',
-            severity: 'medium',
-            reason: `JSON解析エラー: ${jsonParseError.message}`,
-            keywords: [],
-            summary: '',
-            rawResponse: result,
-            parseError: `JSON parse failed: ${jsonParseError.message}`
-          };
-        }
-      } else {
-        if (debug) {
-          console.log('❌ JSON構造が見つかりません');
-          console.log('🔍 レスポンス形式チェック:');
-          console.log('  - 中括弧の有無:', result.includes('{') && result.includes('}') ? '✅' : '❌');
-          console.log('  - 改行文字数:', (result.match(/\n/g) || []).length);
-          console.log('  - 特殊文字:', /[^\x20-\x7E]/.test(result) ? '含む' : '含まない');
-          console.log('=================================\n');
-        }
-        return {
-          isClaim: false,
-          confidence: 0,
-          category: 'other',
-          severity: 'medium',
-          reason: 'Azure OpenAIレスポンスにJSON構造が見つかりませんでした',
-          keywords: [],
-          summary: '',
-          rawResponse: result,
-          parseError: 'No JSON structure found in response'
-        };
-      }
-    } catch (parseError) {
-      if (debug) {
-        console.log('❌ パース処理全体でエラー:', parseError.message);
-        console.log('❌ エラースタック:', parseError.stack);
-        console.log('=================================\n');
-      }
-      console.error('Error parsing Azure OpenAI response:', parseError);
-      return {
-        isClaim: false,
-        confidence: 0,
-        category: 'other',
-        severity: 'medium',
-        reason: `Azure OpenAI応答の解析に失敗しました: ${parseError.message}`,
-        keywords: [],
-        summary: '',
-        rawResponse: result,
-        parseError: parseError.message
-      };
+  isRetryableError(error) {
+    // タイムアウト・接続エラー（APIConnectionTimeoutError は APIConnectionError のサブクラス）
+    if (error instanceof OpenAI.APIConnectionError) {
+      return true;
     }
+    return RETRY_STATUS_CODES.includes(error.status);
   }
 
-  async generateClaimReport(claims) {
-    if (claims.length === 0) {
-      return 'クレームが検出されませんでした。';
+  /**
+   * 待機時間を計算（retry-after-ms / retry-after ヘッダーを優先し、なければ指数バックオフ＋ジッター）
+   */
+  getRetryDelayMs(error, attempt) {
+    const maxDelayMs = config.openai.maxRetryDelaySeconds * 1000;
+    const retryAfterMs = Number(error.headers?.['retry-after-ms']);
+    const retryAfterSeconds = Number(error.headers?.['retry-after']);
+    // 同時実行中のリクエストが同時に再送しないよう、ヘッダー指定時も少しずらす
+    const jitterMs = Math.random() * 1000;
+
+    if (retryAfterMs > 0) {
+      return Math.min(retryAfterMs + jitterMs, maxDelayMs);
     }
-
-    const prompt = `以下のクレーム一覧から要約レポートを作成してください：
-
-${claims.map((claim, index) => `
-${index + 1}. 件名: ${claim.subject}
-   カテゴリ: ${claim.category}
-   重要度: ${claim.severity}
-   要約: ${claim.summary}
-   日時: ${claim.receivedDateTime}
-`).join('\n')}
-
-以下の形式でレポートを作成してください：
-- 総件数と期間
-- カテゴリ別集計
-- 重要度別集計
-- 主要な問題の傾向
-- 対応が必要な優先案件`;
-
-    try {
-      const response = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: 'クレーム分析レポートを作成する専門アシスタントです。日本語で簡潔で分かりやすいレポートを作成してください。'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_completion_tokens: 2000,
-        temperature: 1,
-      });
-
-      return response.choices[0].message.content;
-    } catch (error) {
-      console.error('Error generating claim report with Azure OpenAI:', error);
-      return 'レポート生成中にエラーが発生しました。';
+    if (retryAfterSeconds > 0) {
+      return Math.min(retryAfterSeconds * 1000 + jitterMs, maxDelayMs);
     }
+    return Math.min(1000 * Math.pow(2, attempt) + jitterMs, maxDelayMs);
   }
-}
\ No newline at end of file
+
+  getServiceName() {
+    return 'Azure OpenAI';
+  }
+}
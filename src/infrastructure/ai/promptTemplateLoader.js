@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ファイルで管理するプロンプトテンプレートの読み込みと展開
+ * テンプレートは <directory>/<version>/<language>/<name>.txt に配置し、{{変数名}} を展開する
+ * <directory>/<version>/<language>/<backend>/<name>.txt がある場合は、そのバックエンドでのみ優先して使用する
+ */
+export class PromptTemplateLoader {
+  /**
+   * @param {Object} options - テンプレートの設定
+   * @param {string} options.directory - テンプレートのルートディレクトリ（カレントディレクトリからの相対パス）
+   * @param {string} options.version - プロンプトのバージョン（例: v1）
+   * @param {string} options.language - 言語（例: ja）
+   * @param {string} options.backend - バックエンド（プロバイダー名: azure / openai / local / ollama）
+   */
+  constructor(options) {
+    this.directory = path.resolve(process.cwd(), options.directory);
+    this.version = options.version;
+    this.language = options.language;
+    this.backend = options.backend;
+    this.templates = new Map();
+  }
+
+  get languageDirectory() {
+    return path.join(this.directory, this.version, this.language);
+  }
+
+  get backendDirectory() {
+    return path.join(this.languageDirectory, this.backend);
+  }
+
+  /**
+   * 分析結果とあわせて保存するプロンプトのバージョン
+   * バックエンド専用のテンプレートがある場合は、他のバックエンドと区別できるようにバックエンド名を含める
+   * @returns {string} 例: v1/ja, v1/ja/azure
+   */
+  get promptVersion() {
+    const parts = [this.version, this.language];
+    if (this.backend && fs.existsSync(this.backendDirectory)) {
+      parts.push(this.backend);
+    }
+    return parts.join('/');
+  }
+
+  /**
+   * テンプレートを展開
+   * @param {string} name - テンプレート名（拡張子なし）
+   * @param {Object} variables - 展開する変数
+   * @returns {string} 展開後のテキスト
+   */
+  render(name, variables = {}) {
+    // 展開は1回のみ行い、メール本文などに含まれる {{...}} は展開しない
+    return this.loadTemplate(name).replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+      if (!(key in variables)) {
+        throw new Error(`Prompt template "${name}" references unknown variable: ${key}`);
+      }
+      return String(variables[key] ?? '');
+    });
+  }
+
+  loadTemplate(name) {
+    if (this.templates.has(name)) {
+      return this.templates.get(name);
+    }
+
+    const candidates = [
+      ...(this.backend ? [path.join(this.backendDirectory, `${name}.txt`)] : []),
+      path.join(this.languageDirectory, `${name}.txt`)
+    ];
+    const templatePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!templatePath) {
+      throw new Error(`Prompt template "${name}" not found for ${this.version}/${this.language} in ${this.directory}`);
+    }
+
+    // ファイル末尾の改行はテンプレートの一部として扱わない
+    const template = fs.readFileSync(templatePath, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+    this.templates.set(name, template);
+    return template;
+  }
+}
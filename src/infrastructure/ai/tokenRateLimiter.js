@@ -0,0 +1,103 @@
+const WINDOW_MS = 60000;
+
+/**
+ * 1分あたりのトークン数（TPM）の上限を超えないようにリクエストを待機させるレートリミッター
+ * 同じインスタンスを共有するすべてのリクエスト（同時実行を含む）で上限を共有する
+ */
+export class TokenRateLimiter {
+  /**
+   * @param {number} tokensPerMinute - 1分あたりのトークン数の上限（0の場合は制限しない）
+   */
+  constructor(tokensPerMinute = 0) {
+    this.tokensPerMinute = tokensPerMinute;
+    this.entries = [];
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  get isEnabled() {
+    return this.tokensPerMinute > 0;
+  }
+
+  /**
+   * 指定したトークン数を使用できるまで待機し、使用量として記録する
+   * 待機は順番に処理し、先に待っているリクエストを後から来たリクエストが追い越さないようにする
+   * @param {number} tokens - リクエストで使用するトークン数（概算）
+   * @param {AbortSignal} signal - キャンセル用のシグナル（中断時は待機を打ち切り、中断理由で reject する）
+   */
+  acquire(tokens, signal = null) {
+    const turn = this.queue.then(() => this.waitForCapacity(tokens, signal));
+    this.queue = turn.catch(() => {});
+    if (!signal) {
+      return turn;
+    }
+
+    // 順番待ちの間に中断された場合も、先に待っているリクエストの完了を待たずに打ち切る
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    return Promise.race([turn, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  async waitForCapacity(tokens, signal = null) {
+    while (true) {
+      // 中断されたリクエストは使用量として記録しない
+      signal?.throwIfAborted();
+
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await this.sleep(this.pausedUntil - now, signal);
+        continue;
+      }
+
+      if (!this.isEnabled) {
+        return;
+      }
+
+      this.entries = this.entries.filter(entry => now - entry.time < WINDOW_MS);
+      const usedTokens = this.entries.reduce((sum, entry) => sum + entry.tokens, 0);
+
+      // 1リクエストで上限を超える場合は、ウィンドウが空になった時点で送信する
+      if (usedTokens + tokens <= this.tokensPerMinute || this.entries.length === 0) {
+        this.entries.push({ time: now, tokens });
+        return;
+      }
+
+      // 最も古い使用量がウィンドウから外れるまで待機
+      await this.sleep(this.entries[0].time + WINDOW_MS - now, signal);
+    }
+  }
+
+  /**
+   * 429（レート制限）を受けた場合に、すべてのリクエストを指定時間停止する
+   * @param {number} ms - 停止する時間（ミリ秒）
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
@@ -48,6 +48,10 @@ export class Database {
         sender_name TEXT,
         received_date_time DATETIME,
         body_content TEXT,
+        new_content TEXT,
+        mailbox_source TEXT,
+        conversation_id TEXT,
+        thread_id INTEGER,
         processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -65,6 +69,9 @@ export class Database {
         keywords TEXT,
         summary TEXT,
         raw_response TEXT,
+        analysis_outcome TEXT DEFAULT 'analyzed',
+        prompt_version TEXT,
+        write_back_status TEXT,
         analyzed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (email_id) REFERENCES emails (id)
       )
@@ -78,10 +85,66 @@ export class Database {
         emails_processed INTEGER,
         claims_detected INTEGER,
         errors TEXT,
+        warnings TEXT,
+        graph_retries INTEGER DEFAULT 0,
+        graph_throttled INTEGER DEFAULT 0,
+        graph_retries_exhausted INTEGER DEFAULT 0,
         status TEXT
       )
     `;
 
+    const createMailboxSyncStateTable = `
+      CREATE TABLE IF NOT EXISTS mailbox_sync_state (
+        mailbox TEXT PRIMARY KEY,
+        last_processed_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createDeltaSyncStateTable = `
+      CREATE TABLE IF NOT EXISTS delta_sync_state (
+        mailbox TEXT NOT NULL,
+        folder TEXT NOT NULL,
+        delta_link TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (mailbox, folder)
+      )
+    `;
+
+    // 同じ会話が複数のメールボックスに届く場合があるため、スレッドはメールボックスと会話IDの組で管理する
+    const createThreadsTable = `
+      CREATE TABLE IF NOT EXISTS threads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL,
+        mailbox_source TEXT NOT NULL DEFAULT '',
+        subject TEXT,
+        first_received_at DATETIME,
+        last_received_at DATETIME,
+        last_reply_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mailbox_source, conversation_id)
+      )
+    `;
+
+    const createAttachmentsTable = `
+      CREATE TABLE IF NOT EXISTS attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER NOT NULL,
+        attachment_id TEXT NOT NULL,
+        name TEXT,
+        content_type TEXT,
+        size INTEGER,
+        is_inline BOOLEAN,
+        attachment_type TEXT,
+        extraction_status TEXT,
+        extracted_text TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (email_id, attachment_id),
+        FOREIGN KEY (email_id) REFERENCES emails (id)
+      )
+    `;
+
     const createIndexes = `
       CREATE INDEX IF NOT EXISTS idx_emails_received_date ON emails(received_date_time);
       CREATE INDEX IF NOT EXISTS idx_emails_email_id ON emails(email_id);
@@ -89,25 +152,160 @@ export class Database {
       CREATE INDEX IF NOT EXISTS idx_claims_severity ON claims(severity);
     `;
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       this.db.serialize(() => {
         this.db.run(createEmailsTable);
         this.db.run(createClaimsTable);
         this.db.run(createProcessingLogTable);
+        this.db.run(createMailboxSyncStateTable);
+        this.db.run(createDeltaSyncStateTable);
+        this.db.run(createThreadsTable);
+        this.db.run(createAttachmentsTable);
         this.db.run(createIndexes, (err) => {
           if (err) reject(err);
           else resolve();
         });
       });
     });
+
+    await this.migrateTables();
+  }
+
+  /**
+   * 既存データベースに不足しているカラム・インデックスを追加
+   */
+  async migrateTables() {
+    await this.addColumnIfMissing('emails', 'mailbox_source', 'TEXT');
+    await this.addColumnIfMissing('processing_log', 'warnings', 'TEXT');
+    await this.addColumnIfMissing('emails', 'conversation_id', 'TEXT');
+    await this.addColumnIfMissing('emails', 'thread_id', 'INTEGER REFERENCES threads (id)');
+    await this.addColumnIfMissing('emails', 'new_content', 'TEXT');
+    await this.addColumnIfMissing('claims', 'write_back_status', 'TEXT');
+    await this.addColumnIfMissing('claims', 'analysis_outcome', "TEXT DEFAULT 'analyzed'");
+    await this.addColumnIfMissing('claims', 'prompt_version', 'TEXT');
+    await this.addColumnIfMissing('processing_log', 'graph_retries', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('processing_log', 'graph_throttled', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('processing_log', 'graph_retries_exhausted', 'INTEGER DEFAULT 0');
+    await this.migrateThreadsKey();
+
+    const createIndexes = [
+      'CREATE INDEX IF NOT EXISTS idx_emails_mailbox_source ON emails(mailbox_source)',
+      'CREATE INDEX IF NOT EXISTS idx_emails_thread_id ON emails(thread_id)',
+      'CREATE INDEX IF NOT EXISTS idx_attachments_email_id ON attachments(email_id)'
+    ];
+
+    for (const query of createIndexes) {
+      await new Promise((resolve, reject) => {
+        this.db.run(query, (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * 会話IDのみで一意だった threads テーブルを、メールボックスと会話IDの組で一意になるよう作り直す
+   * 他のメールボックスのスレッドに紐付いていたメールは、メールボックスごとのスレッドに紐付け直す
+   */
+  async migrateThreadsKey() {
+    const all = (query) => new Promise((resolve, reject) => {
+      this.db.all(query, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    const uniqueIndexes = (await all('PRAGMA index_list(threads)')).filter(index => index.unique);
+    let hasLegacyKey = false;
+    for (const index of uniqueIndexes) {
+      const columns = await all(`PRAGMA index_info(${index.name})`);
+      if (columns.length === 1 && columns[0].name === 'conversation_id') {
+        hasLegacyKey = true;
+      }
+    }
+
+    if (!hasLegacyKey) {
+      return;
+    }
+
+    console.log('Migrating threads table to one thread per mailbox and conversation...');
+
+    const migration = `
+      BEGIN;
+      CREATE TABLE threads_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL,
+        mailbox_source TEXT NOT NULL DEFAULT '',
+        subject TEXT,
+        first_received_at DATETIME,
+        last_received_at DATETIME,
+        last_reply_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mailbox_source, conversation_id)
+      );
+      INSERT INTO threads_new (
+        id, conversation_id, mailbox_source, subject, first_received_at, last_received_at, last_reply_at, created_at, updated_at
+      )
+      SELECT id, conversation_id, COALESCE(mailbox_source, ''), subject, first_received_at, last_received_at, last_reply_at, created_at, updated_at
+      FROM threads;
+      DROP TABLE threads;
+      ALTER TABLE threads_new RENAME TO threads;
+      INSERT OR IGNORE INTO threads (conversation_id, mailbox_source, subject, first_received_at, last_received_at)
+      SELECT conversation_id, COALESCE(mailbox_source, ''), MIN(subject), MIN(received_date_time), MAX(received_date_time)
+      FROM emails
+      WHERE conversation_id IS NOT NULL
+      GROUP BY conversation_id, COALESCE(mailbox_source, '');
+      UPDATE emails SET thread_id = (
+        SELECT t.id FROM threads t
+        WHERE t.conversation_id = emails.conversation_id AND t.mailbox_source = COALESCE(emails.mailbox_source, '')
+      )
+      WHERE conversation_id IS NOT NULL;
+      UPDATE threads SET
+        first_received_at = (SELECT MIN(received_date_time) FROM emails WHERE emails.thread_id = threads.id),
+        last_received_at = (SELECT MAX(received_date_time) FROM emails WHERE emails.thread_id = threads.id)
+      WHERE EXISTS (SELECT 1 FROM emails WHERE emails.thread_id = threads.id);
+      COMMIT;
+    `;
+
+    await new Promise((resolve, reject) => {
+      this.db.exec(migration, (err) => {
+        if (err) {
+          this.db.exec('ROLLBACK', () => reject(err));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    if (columns.some(col => col.name === column)) {
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
   }
 
   async saveEmail(email) {
     const query = `
       INSERT OR IGNORE INTO emails (
         email_id, internet_message_id, subject, sender_email, sender_name,
-        received_date_time, body_content
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        received_date_time, body_content, new_content, mailbox_source, conversation_id, thread_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const senderEmail = email.from?.emailAddress?.address || '';
@@ -121,7 +319,11 @@ export class Database {
         senderEmail,
         senderName,
         email.receivedDateTime,
-        email.bodyContent || ''
+        email.bodyContent || '',
+        email.newContent || null,
+        email.mailboxSource || null,
+        email.conversationId || null,
+        email.threadId || null
       ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
@@ -129,12 +331,17 @@ export class Database {
     });
   }
 
+  /**
+   * 分析結果を保存
+   * @param {number} emailId - emails テーブルのID
+   * @param {Object} analysisResult - 分析結果（outcome: analyzed / content_filtered / parse_error / error、省略時は analyzed。promptVersion: 使用したプロンプトのバージョン）
+   */
   async saveClaim(emailId, analysisResult) {
     const query = `
       INSERT INTO claims (
         email_id, is_claim, confidence, category, severity,
-        reason, keywords, summary, raw_response
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        reason, keywords, summary, raw_response, analysis_outcome, prompt_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const keywords = JSON.stringify(analysisResult.keywords);
@@ -149,7 +356,9 @@ export class Database {
         analysisResult.reason,
         keywords,
         analysisResult.summary,
-        analysisResult.rawResponse
+        analysisResult.rawResponse,
+        analysisResult.outcome || 'analyzed',
+        analysisResult.promptVersion || null
       ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
@@ -157,9 +366,25 @@ export class Database {
     });
   }
 
+  /**
+   * Exchange への書き戻し結果を記録
+   * @param {number} claimId - claims テーブルのID
+   * @param {string} status - 書き戻し結果（例: "applied: categories=Claim-High / flagged"）
+   */
+  async updateClaimWriteBackStatus(claimId, status) {
+    const query = 'UPDATE claims SET write_back_status = ? WHERE id = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.run(query, [status, claimId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
   async getProcessedEmails(filters = {}) {
     let query = `
-      SELECT e.*, c.is_claim, c.confidence, c.category, c.severity 
+      SELECT e.*, c.is_claim, c.confidence, c.category, c.severity, c.analysis_outcome 
       FROM emails e
       LEFT JOIN claims c ON e.id = c.email_id
       WHERE 1=1
@@ -183,6 +408,11 @@ export class Database {
       params.push(`%${filters.sender}%`);
     }
 
+    if (filters.mailbox) {
+      query += ' AND e.mailbox_source = ?';
+      params.push(filters.mailbox);
+    }
+
     query += ' ORDER BY e.received_date_time DESC';
 
     const limit = filters.limit || 50;
@@ -268,6 +498,12 @@ export class Database {
         INNER JOIN emails e ON c.email_id = e.id
         WHERE c.is_claim = 1 
         AND e.received_date_time >= datetime('now', '-7 days')
+      `,
+      unanalyzedByOutcome: `
+        SELECT analysis_outcome, COUNT(*) as count
+        FROM claims
+        WHERE analysis_outcome != 'analyzed'
+        GROUP BY analysis_outcome
       `
     };
 
@@ -285,12 +521,17 @@ export class Database {
     return results;
   }
 
-  async logProcessingRun(startTime, endTime, emailsProcessed, claimsDetected, errors = null) {
+  /**
+   * 処理実行の結果を記録
+   * @param {Object|null} graphRetryStats - Graph リクエストのリトライ集計 { retries, throttled, exhausted }
+   */
+  async logProcessingRun(startTime, endTime, emailsProcessed, claimsDetected, errors = null, warnings = null, graphRetryStats = null) {
     const query = `
       INSERT INTO processing_log (
         run_started_at, run_completed_at, emails_processed, 
-        claims_detected, errors, status
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        claims_detected, errors, warnings,
+        graph_retries, graph_throttled, graph_retries_exhausted, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const status = errors ? 'error' : 'success';
@@ -302,6 +543,10 @@ export class Database {
         emailsProcessed,
         claimsDetected,
         errors,
+        warnings,
+        graphRetryStats?.retries || 0,
+        graphRetryStats?.throttled || 0,
+        graphRetryStats?.exhausted || 0,
         status
       ], function(err) {
         if (err) reject(err);
@@ -327,6 +572,378 @@ export class Database {
     });
   }
 
+  /**
+   * メールボックスごとの最終処理時刻（差分取得の基準時刻）を取得
+   * @param {string} mailbox - メールボックスのアドレス
+   * @returns {Promise<Date|null>} 最終処理時刻（未処理の場合はnull）
+   */
+  async getMailboxLastProcessingTime(mailbox) {
+    const query = 'SELECT last_processed_at FROM mailbox_sync_state WHERE mailbox = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.get(query, [mailbox], (err, row) => {
+        if (err) reject(err);
+        else resolve(row?.last_processed_at ? new Date(row.last_processed_at) : null);
+      });
+    });
+  }
+
+  /**
+   * メールボックスごとの最終処理時刻を更新
+   * @param {string} mailbox - メールボックスのアドレス
+   * @param {Date} processedAt - 最終処理時刻
+   */
+  async updateMailboxLastProcessingTime(mailbox, processedAt) {
+    const query = `
+      INSERT INTO mailbox_sync_state (mailbox, last_processed_at, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(mailbox) DO UPDATE SET
+        last_processed_at = excluded.last_processed_at,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(query, [mailbox, processedAt.toISOString()], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * メールボックス・フォルダーごとに保存した delta リンクを取得
+   * @param {string} mailbox - メールボックスのアドレス
+   * @param {string} folder - フォルダー名またはフォルダーID
+   * @returns {Promise<string|null>} deltaLink または途中再開用の nextLink（未保存の場合はnull）
+   */
+  async getDeltaLink(mailbox, folder) {
+    const query = 'SELECT delta_link FROM delta_sync_state WHERE mailbox = ? AND folder = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.get(query, [mailbox, folder], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.delta_link : null);
+      });
+    });
+  }
+
+  /**
+   * メールボックス・フォルダーごとの delta リンクを保存
+   * @param {string} mailbox - メールボックスのアドレス
+   * @param {string} folder - フォルダー名またはフォルダーID
+   * @param {string} deltaLink - 次回再開に使用するリンク
+   */
+  async saveDeltaLink(mailbox, folder, deltaLink) {
+    const query = `
+      INSERT INTO delta_sync_state (mailbox, folder, delta_link, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(mailbox, folder) DO UPDATE SET
+        delta_link = excluded.delta_link,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(query, [mailbox, folder, deltaLink], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * メールボックスと会話（conversationId）の組に対応するスレッドを作成・更新し、スレッドIDを返す
+   * @param {Object} email - Graph から取得したメール（conversationId, mailboxSource 付き）
+   * @param {Date|null} lastReplyAt - 自分たちが最後に返信した日時（不明な場合はnull）
+   * @returns {Promise<number>} スレッドID
+   */
+  async upsertThread(email, lastReplyAt = null) {
+    const query = `
+      INSERT INTO threads (
+        conversation_id, mailbox_source, subject, first_received_at, last_received_at, last_reply_at
+      ) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(mailbox_source, conversation_id) DO UPDATE SET
+        first_received_at = MIN(COALESCE(first_received_at, excluded.first_received_at), excluded.first_received_at),
+        last_received_at = MAX(COALESCE(last_received_at, excluded.last_received_at), excluded.last_received_at),
+        last_reply_at = COALESCE(excluded.last_reply_at, last_reply_at),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    const receivedAt = email.receivedDateTime ? new Date(email.receivedDateTime).toISOString() : null;
+    const mailboxSource = email.mailboxSource || '';
+
+    await new Promise((resolve, reject) => {
+      this.db.run(query, [
+        email.conversationId,
+        mailboxSource,
+        email.subject,
+        receivedAt,
+        receivedAt,
+        lastReplyAt ? lastReplyAt.toISOString() : null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT id FROM threads WHERE mailbox_source = ? AND conversation_id = ?', [mailboxSource, email.conversationId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.id);
+      });
+    });
+  }
+
+  /**
+   * 最後の受信以降に返信していない（または返信日時が不明な）スレッドを新しい順に取得
+   * @param {number} limit - 最大件数
+   * @returns {Promise<Array>} スレッド行
+   */
+  async getThreadsAwaitingReply(limit = 50) {
+    const query = `
+      SELECT id, conversation_id, mailbox_source, last_reply_at
+      FROM threads
+      WHERE last_reply_at IS NULL OR last_reply_at < last_received_at
+      ORDER BY last_received_at DESC
+      LIMIT ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * スレッドの最終返信日時を更新
+   * @param {number} threadId - スレッドID
+   * @param {Date} lastReplyAt - 最終返信日時
+   */
+  async updateThreadLastReplyAt(threadId, lastReplyAt) {
+    const query = 'UPDATE threads SET last_reply_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.run(query, [lastReplyAt.toISOString(), threadId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * スレッドと、スレッドに属するメール・分析結果を取得
+   * @param {Object} filters - フィルター（limit, mailbox）
+   * @returns {Promise<Array>} スレッドごとのメール行（受信日時順）
+   */
+  async getThreadsWithEmails(filters = {}) {
+    let threadQuery = 'SELECT id FROM threads WHERE 1=1';
+    const params = [];
+
+    if (filters.mailbox) {
+      threadQuery += ' AND mailbox_source = ?';
+      params.push(filters.mailbox);
+    }
+
+    threadQuery += ' ORDER BY last_received_at DESC LIMIT ?';
+    params.push(filters.limit || 50);
+
+    const query = `
+      SELECT t.id AS thread_id, t.conversation_id, t.mailbox_source, t.subject AS thread_subject,
+        t.first_received_at, t.last_received_at, t.last_reply_at,
+        e.id AS email_row_id, e.subject, e.sender_email, e.sender_name, e.received_date_time,
+        c.is_claim, c.category, c.severity, c.confidence
+      FROM threads t
+      INNER JOIN emails e ON e.thread_id = t.id
+      LEFT JOIN claims c ON c.email_id = e.id
+      WHERE t.id IN (${threadQuery})
+      ORDER BY t.id, e.received_date_time ASC
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * メールボックスと会話IDに対応するスレッドを取得
+   * @param {string} conversationId - 会話ID
+   * @param {string} mailboxSource - メールボックス
+   * @returns {Promise<Object|null>} スレッド行
+   */
+  async getThreadByConversationId(conversationId, mailboxSource) {
+    const query = 'SELECT * FROM threads WHERE mailbox_source = ? AND conversation_id = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.get(query, [mailboxSource || '', conversationId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * 同じスレッド（メールボックスと会話の組）で指定日時より前に受信したメールを新しい順に取得
+   * 他のメールボックスに届いた同じ会話のメールは含めない
+   * @param {number} threadId - スレッドID（upsertThread の戻り値）
+   * @param {string} beforeDateTime - この日時より前のメールを対象
+   * @param {string} excludeEmailId - 除外するメールID（Graph のメッセージID）
+   * @param {number} limit - 最大件数
+   * @returns {Promise<Array>} メール行
+   */
+  async getThreadHistory(threadId, beforeDateTime, excludeEmailId, limit = 5) {
+    const query = `
+      SELECT email_id, subject, sender_email, sender_name, received_date_time, body_content, new_content
+      FROM emails
+      WHERE thread_id = ? AND received_date_time <= ? AND email_id != ?
+      ORDER BY received_date_time DESC
+      LIMIT ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [threadId, beforeDateTime, excludeEmailId, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * メールの添付ファイル情報と抽出テキストを保存
+   * @param {number} emailId - emails テーブルのID
+   * @param {Array} attachments - ExchangeService.getEmailAttachments の戻り値
+   */
+  async saveAttachments(emailId, attachments) {
+    const query = `
+      INSERT OR REPLACE INTO attachments (
+        email_id, attachment_id, name, content_type, size, is_inline,
+        attachment_type, extraction_status, extracted_text
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    for (const attachment of attachments) {
+      await new Promise((resolve, reject) => {
+        this.db.run(query, [
+          emailId,
+          attachment.attachmentId,
+          attachment.name,
+          attachment.contentType,
+          attachment.size,
+          attachment.isInline,
+          attachment.attachmentType,
+          attachment.extractionStatus,
+          attachment.extractedText || null
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * メールの添付ファイル情報を取得
+   * @param {number} emailId - emails テーブルのID
+   * @returns {Promise<Array>} 添付ファイル行
+   */
+  async getAttachmentsByEmailId(emailId) {
+    const query = 'SELECT * FROM attachments WHERE email_id = ? ORDER BY id';
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [emailId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * 処理がキャンセルされた、または分析結果を保存できなかったメールを削除し、次回の実行で再度処理されるようにする
+   * 削除したメールで作成・更新したスレッドも、残っているメールから作り直す（メールが残らないスレッドは削除）
+   * @param {Array<number>} emailIds - emails テーブルのID
+   */
+  async discardEmails(emailIds) {
+    if (emailIds.length === 0) {
+      return;
+    }
+
+    const placeholders = emailIds.map(() => '?').join(', ');
+    const threadIds = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT DISTINCT thread_id FROM emails WHERE id IN (${placeholders}) AND thread_id IS NOT NULL`, emailIds, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => row.thread_id));
+      });
+    });
+
+    const statements = [
+      [`DELETE FROM attachments WHERE email_id IN (${placeholders})`, emailIds],
+      [`DELETE FROM emails WHERE id IN (${placeholders})`, emailIds]
+    ];
+
+    if (threadIds.length > 0) {
+      const threadPlaceholders = threadIds.map(() => '?').join(', ');
+      statements.push(
+        [`
+          DELETE FROM threads
+          WHERE id IN (${threadPlaceholders})
+          AND NOT EXISTS (SELECT 1 FROM emails WHERE emails.thread_id = threads.id)
+        `, threadIds],
+        [`
+          UPDATE threads SET
+            first_received_at = (SELECT strftime('%Y-%m-%dT%H:%M:%fZ', MIN(received_date_time)) FROM emails WHERE emails.thread_id = threads.id),
+            last_received_at = (SELECT strftime('%Y-%m-%dT%H:%M:%fZ', MAX(received_date_time)) FROM emails WHERE emails.thread_id = threads.id),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id IN (${threadPlaceholders})
+        `, threadIds]
+      );
+    }
+
+    await this.runInTransaction(statements);
+  }
+
+  /**
+   * 複数の更新を1つのトランザクションで実行（失敗した場合はすべて取り消す）
+   * @param {Array<[string, Array]>} statements - クエリとパラメーターの組
+   */
+  async runInTransaction(statements) {
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+      this.db.run(query, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    await run('BEGIN');
+    try {
+      for (const [query, params] of statements) {
+        await run(query, params);
+      }
+      await run('COMMIT');
+    } catch (error) {
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * メールの Exchange メッセージIDを更新（フォルダー移動でIDが変わった場合）
+   * @param {string} oldEmailId - 移動前のメッセージID
+   * @param {string} newEmailId - 移動後のメッセージID
+   */
+  async updateEmailMessageId(oldEmailId, newEmailId) {
+    const query = 'UPDATE emails SET email_id = ? WHERE email_id = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.run(query, [newEmailId, oldEmailId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
   async isEmailProcessed(emailId) {
     const query = 'SELECT 1 FROM emails WHERE email_id = ?';
     
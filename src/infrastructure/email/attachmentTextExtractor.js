@@ -0,0 +1,467 @@
+import zlib from 'zlib';
+import { config } from '../../config/config.js';
+import { HtmlToTextConverter } from './htmlToTextConverter.js';
+
+// 抽出テキストの最大文字数（データベース保存用）
+const MAX_EXTRACTED_CHARS = 20000;
+
+const TEXT_EXTENSIONS = new Set(['txt', 'text', 'log', 'csv', 'tsv', 'md', 'json', 'xml']);
+const HTML_EXTENSIONS = new Set(['htm', 'html']);
+const OFFICE_EXTENSIONS = new Set(['docx', 'docm', 'xlsx', 'xlsm', 'pptx', 'pptm']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Office 文書ごとにテキストを抽出する ZIP エントリ
+const OFFICE_TEXT_ENTRIES = {
+  doc: name => name === 'word/document.xml',
+  xls: name => name === 'xl/sharedStrings.xml' || /^xl\/worksheets\/sheet\d+\.xml$/.test(name),
+  ppt: name => /^ppt\/slides\/slide\d+\.xml$/.test(name)
+};
+
+/**
+ * 添付ファイルからテキストを抽出する
+ * （テキスト・HTML・転送メール(.eml / アイテム添付)・Office文書(docx / xlsx / pptx) に対応）
+ */
+export class AttachmentTextExtractor {
+  /**
+   * 添付ファイルの種類を判定し、テキスト抽出が可能かを返す
+   * @param {Object} attachment - Graph の添付ファイル（メタデータのみでも可）
+   * @returns {boolean}
+   */
+  static isSupported(attachment) {
+    if (this.isItemAttachment(attachment)) {
+      return true;
+    }
+    if (!this.isFileAttachment(attachment)) {
+      return false;
+    }
+    return this.getFileKind(attachment) !== null;
+  }
+
+  static isFileAttachment(attachment) {
+    return attachment['@odata.type'] === '#microsoft.graph.fileAttachment';
+  }
+
+  static isItemAttachment(attachment) {
+    return attachment['@odata.type'] === '#microsoft.graph.itemAttachment';
+  }
+
+  static getAttachmentType(attachment) {
+    if (this.isFileAttachment(attachment)) {
+      return 'file';
+    }
+    if (this.isItemAttachment(attachment)) {
+      return 'item';
+    }
+    return 'reference';
+  }
+
+  /**
+   * ファイル名の拡張子と Content-Type から抽出方法を判定
+   * @returns {string|null} 'text' | 'html' | 'eml' | 'office'（未対応の場合はnull）
+   */
+  static getFileKind(attachment) {
+    const extension = (attachment.name || '').split('.').pop().toLowerCase();
+    const contentType = (attachment.contentType || '').toLowerCase();
+
+    if (extension === 'eml' || contentType === 'message/rfc822') {
+      return 'eml';
+    }
+    if (HTML_EXTENSIONS.has(extension) || contentType === 'text/html') {
+      return 'html';
+    }
+    if (TEXT_EXTENSIONS.has(extension) || contentType.startsWith('text/')) {
+      return 'text';
+    }
+    if (OFFICE_EXTENSIONS.has(extension)) {
+      return 'office';
+    }
+    return null;
+  }
+
+  /**
+   * 添付ファイルからテキストを抽出
+   * @param {Object} attachment - Graph の添付ファイル（fileAttachment は contentBytes、itemAttachment は item を含む）
+   * @returns {string} 抽出したテキスト
+   */
+  static extract(attachment) {
+    let text = '';
+
+    if (this.isItemAttachment(attachment)) {
+      text = this.extractFromItem(attachment.item);
+    } else if (this.isFileAttachment(attachment)) {
+      const buffer = Buffer.from(attachment.contentBytes || '', 'base64');
+      switch (this.getFileKind(attachment)) {
+        case 'text':
+          text = this.decodeText(buffer);
+          break;
+        case 'html':
+          text = HtmlToTextConverter.convert(this.decodeText(buffer));
+          break;
+        case 'eml':
+          text = this.extractFromEml(buffer);
+          break;
+        case 'office':
+          text = this.extractFromOfficeDocument(buffer, attachment.name);
+          break;
+        default:
+          break;
+      }
+    }
+
+    text = text.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    return text.length > MAX_EXTRACTED_CHARS ? text.substring(0, MAX_EXTRACTED_CHARS) : text;
+  }
+
+  /**
+   * 転送されたメール（itemAttachment の item）からテキストを抽出
+   */
+  static extractFromItem(item) {
+    if (!item) {
+      return '';
+    }
+
+    const lines = [];
+    const from = item.from?.emailAddress;
+    if (from) {
+      lines.push(`差出人: ${from.name || ''} <${from.address || ''}>`);
+    }
+    if (item.sentDateTime || item.receivedDateTime) {
+      lines.push(`送信日時: ${item.sentDateTime || item.receivedDateTime}`);
+    }
+    if (item.subject) {
+      lines.push(`件名: ${item.subject}`);
+    }
+
+    const body = item.body?.contentType === 'html'
+      ? HtmlToTextConverter.convert(item.body.content)
+      : item.body?.content || '';
+
+    return `${lines.join('\n')}\n\n${body}`;
+  }
+
+  /**
+   * テキストファイルをデコード（UTF-8 として不正な場合は Shift_JIS とみなす）
+   */
+  static decodeText(buffer, charset = null) {
+    if (charset) {
+      try {
+        return new TextDecoder(charset).decode(buffer);
+      } catch (error) {
+        // 未知の文字コードは UTF-8 / Shift_JIS の判定に任せる
+      }
+    }
+
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return new TextDecoder('utf-16le').decode(buffer);
+    }
+
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      return new TextDecoder('shift_jis').decode(buffer);
+    }
+  }
+
+  /**
+   * .eml（RFC 822 形式）のヘッダーと本文を抽出
+   */
+  static extractFromEml(buffer) {
+    const { headers, body } = this.parseMimePart(buffer.toString('latin1'));
+    const lines = [];
+
+    for (const [name, label] of [['from', '差出人'], ['date', '送信日時'], ['subject', '件名']]) {
+      if (headers[name]) {
+        lines.push(`${label}: ${this.decodeMimeHeader(headers[name])}`);
+      }
+    }
+
+    const bodyText = this.extractMimeBody(headers, body);
+    return `${lines.join('\n')}\n\n${bodyText}`;
+  }
+
+  /**
+   * MIME パートをヘッダーと本文に分割（latin1 文字列として扱う）
+   */
+  static parseMimePart(raw) {
+    const separator = /\r?\n\r?\n/.exec(raw);
+    const headerText = separator ? raw.substring(0, separator.index) : raw;
+    const body = separator ? raw.substring(separator.index + separator[0].length) : '';
+
+    const headers = {};
+    for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+      const colonIndex = line.indexOf(':');
+      if (colonIndex > 0) {
+        const name = line.substring(0, colonIndex).trim().toLowerCase();
+        headers[name] ??= line.substring(colonIndex + 1).trim();
+      }
+    }
+
+    return { headers, body };
+  }
+
+  /**
+   * MIME 本文からテキストを抽出（multipart の場合は text/plain を優先）
+   */
+  static extractMimeBody(headers, body) {
+    const contentType = (headers['content-type'] || 'text/plain').toLowerCase();
+
+    if (contentType.startsWith('multipart/')) {
+      const boundary = /boundary\s*=\s*"?([^";]+)"?/i.exec(headers['content-type'])?.[1];
+      if (!boundary) {
+        return '';
+      }
+
+      const parts = body
+        .split(`--${boundary}`)
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(part => this.parseMimePart(part.replace(/^\r?\n/, '')));
+
+      const plainPart = parts.find(part => (part.headers['content-type'] || 'text/plain').toLowerCase().startsWith('text/plain'));
+      const preferred = contentType.startsWith('multipart/alternative') && plainPart ? [plainPart] : parts;
+
+      return preferred
+        .map(part => this.extractMimeBody(part.headers, part.body))
+        .filter(Boolean)
+        .join('\n\n');
+    }
+
+    if (contentType.startsWith('message/rfc822')) {
+      return this.extractFromEml(Buffer.from(body, 'latin1'));
+    }
+
+    if (!contentType.startsWith('text/')) {
+      return '';
+    }
+
+    const charset = /charset\s*=\s*"?([^";\s]+)"?/i.exec(headers['content-type'] || '')?.[1] || null;
+    const text = this.decodeText(this.decodeTransferEncoding(body, headers['content-transfer-encoding']), charset);
+    return contentType.startsWith('text/html') ? HtmlToTextConverter.convert(text) : text;
+  }
+
+  static decodeTransferEncoding(body, encoding = '') {
+    switch (encoding.toLowerCase()) {
+      case 'base64':
+        return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+      case 'quoted-printable':
+        return Buffer.from(
+          body
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+          'latin1'
+        );
+      default:
+        return Buffer.from(body, 'latin1');
+    }
+  }
+
+  /**
+   * =?charset?B?...?= 形式のエンコードされたヘッダーをデコード
+   */
+  static decodeMimeHeader(value) {
+    return value
+      .replace(/\?=\s+=\?/g, '?==?')
+      .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+        const buffer = encoding.toLowerCase() === 'b'
+          ? Buffer.from(encoded, 'base64')
+          : this.decodeTransferEncoding(encoded.replace(/_/g, ' '), 'quoted-printable');
+        return this.decodeText(buffer, charset);
+      });
+  }
+
+  /**
+   * Office Open XML 形式（docx / xlsx / pptx）の文書からテキストを抽出
+   */
+  static extractFromOfficeDocument(buffer, fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    // 展開後のサイズの合計は ATTACHMENT_MAX_SIZE_MB までとする（ZIP 爆弾対策）
+    const entries = this.readZipEntries(
+      buffer,
+      OFFICE_TEXT_ENTRIES[extension.substring(0, 3)],
+      config.analysis.attachmentMaxSizeMB * 1024 * 1024
+    );
+
+    if (extension.startsWith('doc')) {
+      const document = entries.get('word/document.xml');
+      return document ? this.extractWordprocessingText(document) : '';
+    }
+
+    if (extension.startsWith('xls')) {
+      return this.extractSpreadsheetText(entries);
+    }
+
+    return this.extractPresentationText(entries);
+  }
+
+  static extractWordprocessingText(xml) {
+    return this.decodeXmlText(
+      xml
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br[^>]*\/>/g, '\n')
+        // 表のセルは ' | ' 区切りで1行にまとめる
+        .replace(/<w:tc\b[^>]*>([\s\S]*?)<\/w:tc>/g, (match, cell) => `${cell.replace(/<\/w:p>/g, ' ').trimEnd()} | `)
+        .replace(/ \| <\/w:tr>/g, '\n')
+        .replace(/<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+    );
+  }
+
+  static extractSpreadsheetText(entries) {
+    const sharedStrings = [];
+    const sharedStringsXml = entries.get('xl/sharedStrings.xml') || '';
+    for (const [, item] of sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(this.collectXmlText(item, 't'));
+    }
+
+    const sheetNames = this.sortByNumber([...entries.keys()].filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)));
+    const sheets = [];
+
+    for (const sheetName of sheetNames) {
+      const rows = [];
+      for (const [, row] of entries.get(sheetName).matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const cells = [];
+        for (const [, attributes, content] of row.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const type = /\bt="([^"]+)"/.exec(attributes)?.[1];
+          const value = /<v>([\s\S]*?)<\/v>/.exec(content || '')?.[1];
+          if (type === 's' && value !== undefined) {
+            cells.push(sharedStrings[parseInt(value, 10)] ?? '');
+          } else if (type === 'inlineStr') {
+            cells.push(this.collectXmlText(content || '', 't'));
+          } else if (value !== undefined) {
+            cells.push(this.decodeXmlText(value));
+          }
+        }
+        if (cells.some(cell => cell.trim())) {
+          rows.push(cells.join(' | '));
+        }
+      }
+      sheets.push(rows.join('\n'));
+    }
+
+    return sheets.filter(Boolean).join('\n\n');
+  }
+
+  static extractPresentationText(entries) {
+    const slideNames = this.sortByNumber([...entries.keys()].filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)));
+
+    return slideNames
+      .map(slideName => {
+        const paragraphs = [];
+        for (const [, paragraph] of entries.get(slideName).matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)) {
+          const text = this.collectXmlText(paragraph, 'a:t');
+          if (text.trim()) {
+            paragraphs.push(text);
+          }
+        }
+        return paragraphs.join('\n');
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * 指定した要素のテキストを連結
+   */
+  static collectXmlText(xml, tagName) {
+    const pattern = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'g');
+    return [...xml.matchAll(pattern)].map(([, text]) => this.decodeXmlText(text)).join('');
+  }
+
+  static decodeXmlText(text) {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+      .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name]);
+  }
+
+  static sortByNumber(names) {
+    const numberOf = name => parseInt(/(\d+)\.xml$/.exec(name)[1], 10);
+    return names.sort((a, b) => numberOf(a) - numberOf(b));
+  }
+
+  /**
+   * ZIP アーカイブから指定したエントリを読み込む（セントラルディレクトリを参照）
+   * 展開後のサイズの合計が maxTotalBytes を超えるエントリは読み込まずにスキップする
+   * @param {Buffer} buffer - ZIP アーカイブ
+   * @param {Function} isTarget - 読み込むエントリ名を判定する関数
+   * @param {number} maxTotalBytes - 展開後のサイズの上限（バイト）
+   * @returns {Map<string, string>} エントリ名 → 内容
+   */
+  static readZipEntries(buffer, isTarget, maxTotalBytes) {
+    const entries = new Map();
+    let remainingBytes = maxTotalBytes;
+
+    // End of Central Directory レコードを末尾から探す
+    let eocdOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+      if (buffer.readUInt32LE(i) === 0x06054b50) {
+        eocdOffset = i;
+        break;
+      }
+    }
+    if (eocdOffset === -1) {
+      throw new Error('Invalid ZIP archive: end of central directory not found');
+    }
+
+    const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+    let offset = buffer.readUInt32LE(eocdOffset + 16);
+
+    for (let i = 0; i < entryCount; i++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error('Invalid ZIP archive: corrupted central directory');
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const uncompressedSize = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (!isTarget(name)) {
+        continue;
+      }
+
+      // 宣言された展開後のサイズで先に判定し、実際の展開も上限までに制限する（宣言値は偽装できるため）
+      if (uncompressedSize > remainingBytes) {
+        console.warn(`Skipping ZIP entry "${name}": uncompressed size ${uncompressedSize} bytes exceeds the remaining limit of ${remainingBytes} bytes`);
+        continue;
+      }
+
+      const dataStart = localHeaderOffset + 30
+        + buffer.readUInt16LE(localHeaderOffset + 26)
+        + buffer.readUInt16LE(localHeaderOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      let content;
+      if (method === 0) {
+        content = data;
+      } else if (method === 8) {
+        try {
+          content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remainingBytes, 1) });
+        } catch (error) {
+          if (error.code !== 'ERR_BUFFER_TOO_LARGE') {
+            throw error;
+          }
+          console.warn(`Skipping ZIP entry "${name}": uncompressed data exceeds the remaining limit of ${remainingBytes} bytes`);
+          continue;
+        }
+      } else {
+        continue;
+      }
+
+      if (content.length > remainingBytes) {
+        console.warn(`Skipping ZIP entry "${name}": ${content.length} bytes exceeds the remaining limit of ${remainingBytes} bytes`);
+        continue;
+      }
+      remainingBytes -= content.length;
+      entries.set(name, content.toString('utf8'));
+    }
+
+    return entries;
+  }
+}
@@ -0,0 +1,186 @@
+// Outlook / Gmail などが返信・転送時に挿入する引用部分の開始位置
+const HTML_QUOTE_MARKERS = [
+  /<div[^>]*\bid=["']?divRplyFwdMsg/i,
+  /<div[^>]*\bid=["']?appendonsend/i,
+  /<hr[^>]*\bid=["']?stopSpelling/i,
+  /<div[^>]*\bclass=["']?(gmail_quote|yahoo_quoted)/i,
+  /<blockquote[^>]*\btype=["']?cite/i
+];
+
+// 引用部分の開始行（この行以降はすべて引用とみなす）
+const QUOTE_HEADER_PATTERNS = [
+  /^-{2,}\s*(Original Message|Forwarded message|元のメッセージ|転送メッセージ|転送されたメッセージ)\s*-{2,}/i,
+  /^_{10,}\s*$/
+];
+
+// 引用元の紹介行（直後に "> " の引用行が続く場合のみ引用部分の開始とみなす）
+const QUOTE_ATTRIBUTION_PATTERNS = [
+  /^On .+wrote\s*:\s*$/i,
+  /^\d{4}[年/]\d{1,2}[月/]\d{1,2}日?.*(<[^>]+@[^>]+>|\S+@\S+).*[:：]\s*$/,
+  /^.+(さんは書きました|さんが書きました|のメッセージ)\s*[:：]\s*$/
+];
+
+// From: / 差出人: の直後に Sent: / 送信日時: が続くヘッダーブロック
+const QUOTE_FROM_PATTERN = /^\s*\*?(From|差出人|送信者)\s*\*?\s*[:：]/i;
+const QUOTE_SENT_PATTERN = /^\s*\*?(Sent|Date|送信日時|送信日|日時|日付)\s*\*?\s*[:：]/i;
+
+// 署名の開始行
+const SIGNATURE_DELIMITER_PATTERN = /^--\s?$/;
+const SIGNATURE_SEPARATOR_PATTERN = /^\s*[-=_*━─―～〜＊＝]{8,}\s*$/;
+const MOBILE_SIGNATURE_PATTERN = /^(Sent from my |Get Outlook for |iPhoneから送信|Android から送信)/i;
+const DISCLAIMER_PATTERN = /(confidential|privileged|intended recipient|機密情報|誤って(受信|送信)|送信者.*削除|本メール.*(第三者|開示))/i;
+// 免責事項に含まれる受信者への指示（機密情報などの語を含むだけの本文と区別する）
+const DISCLAIMER_NOTICE_PATTERN = /(intended (only )?(for the )?(named )?recipient|received this (e-?mail|message|communication) in error|if you are not the|prohibited|unauthori[sz]ed|notify the sender|誤って(受信|送信|届)|お心当たりのない|(開示|複製|転送|配布|使用|利用)[^。]*(禁じ|禁止))/i;
+// 署名に含まれる連絡先（メールアドレス・URL・電話番号・住所・会社名）
+const CONTACT_PATTERN = /(\S+@\S+\.\w+|https?:\/\/|www\.|(TEL|FAX|Phone|Mobile|携帯|電話)\s*[:：.]?\s*\+?[\d(]|〒\s*\d{3}-?\d{4}|株式会社|有限会社|合同会社|\b(Inc|Ltd|Corp|LLC|GmbH)\b\.?)/i;
+
+// 署名・免責事項とみなす末尾のブロックの最大行数（空行を除く）
+const SIGNATURE_MAX_LINES = 10;
+const DISCLAIMER_MAX_LINES = 8;
+// 署名を除いた後に残す本文の最小文字数（空白を除く）
+const MIN_BODY_CHARS = 10;
+
+/**
+ * メール本文から新しく書かれた部分と、引用部分・署名を分離する
+ */
+export class EmailBodyCleaner {
+  /**
+   * HTML本文を引用ブロックの開始位置で分割
+   * @param {string} html - HTML本文
+   * @returns {{newHtml: string, quotedHtml: string}} 新規部分と引用部分のHTML
+   */
+  static splitHtmlQuote(html) {
+    let quoteIndex = -1;
+
+    for (const marker of HTML_QUOTE_MARKERS) {
+      const match = marker.exec(html);
+      if (match && (quoteIndex === -1 || match.index < quoteIndex)) {
+        quoteIndex = match.index;
+      }
+    }
+
+    if (quoteIndex === -1) {
+      return { newHtml: html, quotedHtml: '' };
+    }
+
+    return {
+      newHtml: html.substring(0, quoteIndex),
+      quotedHtml: html.substring(quoteIndex)
+    };
+  }
+
+  /**
+   * テキスト本文を新規部分・引用部分・署名に分離
+   * @param {string} text - テキスト本文
+   * @returns {{newContent: string, quotedText: string, signature: string}}
+   */
+  static clean(text) {
+    const lines = (text || '').split(/\r?\n/);
+    const quoteStart = this.findQuoteStart(lines);
+
+    const bodyLines = lines.slice(0, quoteStart);
+    const quotedLines = lines.slice(quoteStart);
+
+    // 本文中の "> " で始まるインライン引用行も引用部分として扱う
+    const newLines = [];
+    const inlineQuotedLines = [];
+    for (const line of bodyLines) {
+      if (/^\s*>/.test(line)) {
+        inlineQuotedLines.push(line);
+      } else {
+        newLines.push(line);
+      }
+    }
+
+    const signatureStart = this.findSignatureStart(newLines);
+
+    return {
+      newContent: newLines.slice(0, signatureStart).join('\n').trim(),
+      quotedText: [...inlineQuotedLines, ...quotedLines].join('\n').trim(),
+      signature: newLines.slice(signatureStart).join('\n').trim()
+    };
+  }
+
+  static findQuoteStart(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line))) {
+        return i;
+      }
+
+      if (QUOTE_ATTRIBUTION_PATTERNS.some(pattern => pattern.test(line)) && this.isFollowedByQuotedLine(lines, i)) {
+        return i;
+      }
+
+      if (QUOTE_FROM_PATTERN.test(line)) {
+        const following = lines.slice(i + 1, i + 5);
+        if (following.some(next => QUOTE_SENT_PATTERN.test(next))) {
+          return i;
+        }
+      }
+    }
+
+    return lines.length;
+  }
+
+  /**
+   * 直後の空行以外の行が "> " で始まる引用行かどうか
+   */
+  static isFollowedByQuotedLine(lines, index) {
+    const next = lines.slice(index + 1).find(line => line.trim());
+    return next !== undefined && /^\s*>/.test(next);
+  }
+
+  static findSignatureStart(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (SIGNATURE_DELIMITER_PATTERN.test(lines[i]) || MOBILE_SIGNATURE_PATTERN.test(line)) {
+        return i;
+      }
+    }
+
+    // 区切り線は、それ以降が連絡先を含む短いブロック（と末尾の免責事項）のみで、本文が十分に残る場合のみ署名とみなす
+    const disclaimerStart = this.findDisclaimerStart(lines);
+    for (let i = 0; i < disclaimerStart; i++) {
+      if (!SIGNATURE_SEPARATOR_PATTERN.test(lines[i].trim()) || !this.hasMinimumBody(lines, i)) {
+        continue;
+      }
+
+      const block = lines.slice(i + 1, disclaimerStart).filter(line => line.trim());
+      const isSignature = block.length === 0
+        ? disclaimerStart < lines.length
+        : block.length <= SIGNATURE_MAX_LINES && block.some(line => CONTACT_PATTERN.test(line));
+      if (isSignature) {
+        return i;
+      }
+    }
+
+    return disclaimerStart;
+  }
+
+  /**
+   * 本文末尾の免責事項の開始行（免責事項の語と受信者への指示を含む短いブロック）
+   */
+  static findDisclaimerStart(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      if (!DISCLAIMER_PATTERN.test(lines[i]) || !this.hasMinimumBody(lines, i)) {
+        continue;
+      }
+
+      const block = lines.slice(i).filter(line => line.trim());
+      if (block.length <= DISCLAIMER_MAX_LINES && block.some(line => DISCLAIMER_NOTICE_PATTERN.test(line))) {
+        return i;
+      }
+    }
+
+    return lines.length;
+  }
+
+  /**
+   * 指定した行より前に、署名を除いても分析できるだけの本文が残るかどうか
+   */
+  static hasMinimumBody(lines, index) {
+    return lines.slice(0, index).join('').replace(/\s/g, '').length >= MIN_BODY_CHARS;
+  }
+}
@@ -1,27 +1,68 @@
-import { Client } from '@microsoft/microsoft-graph-client';
-import { PublicClientApplication } from '@azure/msal-node';
+import { Client, AuthenticationHandler, RedirectHandler, HTTPMessageHandler } from '@microsoft/microsoft-graph-client';
+import { PublicClientApplication, ConfidentialClientApplication } from '@azure/msal-node';
 import { config } from '../../config/config.js';
+import { EmailBodyCleaner } from './emailBodyCleaner.js';
+import { HtmlToTextConverter } from './htmlToTextConverter.js';
+import { AttachmentTextExtractor } from './attachmentTextExtractor.js';
+import { FileTokenCachePlugin } from './tokenCachePlugin.js';
+import { GraphRetryHandler } from './graphRetryHandler.js';
 import crypto from 'crypto';
+import fs from 'fs';
 import open from 'open';
 
+// 一覧取得と詳細取得で共通の取得項目（一覧の内容をそのまま詳細として再利用できるようにする）
+const EMAIL_DETAIL_FIELDS = 'id,subject,body,from,toRecipients,ccRecipients,receivedDateTime,hasAttachments,internetMessageId,sender,conversationId,categories';
+// Graph の $batch で1回に送信できるリクエスト数の上限
+const MAX_BATCH_REQUESTS = 20;
+
 export class ExchangeService {
   constructor() {
     this.msalClient = null;
     this.graphClient = null;
     this.accessToken = null;
     this.tokenExpiry = null;
-    this.tokenCache = null;
+    this.tokenCache = new FileTokenCachePlugin(config.azure.tokenCachePath, config.azure.tokenCacheEncryptionKey);
+    this.mailFolderIdCache = new Map();
+    this.retryHandler = new GraphRetryHandler({
+      maxRetries: config.graph.maxRetries,
+      baseDelaySeconds: config.graph.retryBaseDelaySeconds,
+      maxDelaySeconds: config.graph.maxRetryDelaySeconds,
+    });
   }
 
   async initialize() {
+    // サーバー・コンテナでの無人実行はアプリケーション権限で認証する
+    if (config.azure.authMode === 'app') {
+      this.msalClient = new ConfidentialClientApplication(this.buildConfidentialClientConfig());
+      await this.authenticateWithClientCredentials();
+      this.initializeGraphClient();
+      return;
+    }
+
+    this.createMsalClient();
+    
+    // トークンキャッシュから既存のトークンを確認
+    await this.loadTokenFromCache();
+    
+    if (!this.accessToken || Date.now() >= this.tokenExpiry) {
+      await this.authenticateInteractively();
+    }
+    
+    this.initializeGraphClient();
+  }
+
+  /**
+   * 対話型認証用の MSAL クライアントを作成（トークンキャッシュはファイルに永続化）
+   */
+  createMsalClient() {
     const msalConfig = {
       auth: {
         clientId: config.azure.clientId,
         authority: `https://login.microsoftonline.com/${config.azure.tenantId}`,
-        redirectUri: 'http://localhost:3000/auth/callback',
+        redirectUri: this.getRedirectUri(),
       },
       cache: {
-        cacheLocation: './data/token-cache.json',
+        cachePlugin: this.tokenCache,
       },
       system: {
         loggerOptions: {
@@ -37,15 +78,73 @@ export class ExchangeService {
     };
 
     this.msalClient = new PublicClientApplication(msalConfig);
-    
-    // トークンキャッシュから既存のトークンを確認
-    await this.loadTokenFromCache();
-    
-    if (!this.accessToken || Date.now() >= this.tokenExpiry) {
-      await this.authenticateWithPKCE();
+  }
+
+  /**
+   * キャッシュされているアカウントとトークンの有効期限を取得
+   * @returns {Promise<Object>} 認証状態 { authMode, cachePath, encrypted, accounts: [{ username, name, tenantId, accessTokenExpiresOn, hasRefreshToken }] }
+   */
+  async getAuthStatus() {
+    const status = {
+      authMode: config.azure.authMode,
+      cachePath: this.tokenCache.cachePath,
+      encrypted: this.tokenCache.isEncrypted,
+      accounts: []
+    };
+
+    // アプリケーション権限ではユーザーアカウントをキャッシュしない
+    if (config.azure.authMode === 'app') {
+      return status;
     }
-    
-    this.initializeGraphClient();
+
+    if (!this.msalClient) {
+      this.createMsalClient();
+    }
+
+    const tokenCache = this.msalClient.getTokenCache();
+    const accounts = await tokenCache.getAllAccounts();
+    const cacheData = JSON.parse(tokenCache.serialize());
+    const accessTokens = Object.values(cacheData.AccessToken || {});
+    const refreshTokens = Object.values(cacheData.RefreshToken || {});
+
+    status.accounts = accounts.map(account => {
+      const expiresOn = accessTokens
+        .filter(token => token.home_account_id === account.homeAccountId)
+        .map(token => parseInt(token.expires_on, 10) * 1000)
+        .filter(time => !isNaN(time));
+
+      return {
+        username: account.username,
+        name: account.name || '',
+        tenantId: account.tenantId,
+        accessTokenExpiresOn: expiresOn.length > 0 ? new Date(Math.max(...expiresOn)) : null,
+        hasRefreshToken: refreshTokens.some(token => token.home_account_id === account.homeAccountId)
+      };
+    });
+
+    return status;
+  }
+
+  /**
+   * キャッシュされているアカウントをすべて削除（次回実行時は再認証が必要）
+   * @returns {Promise<Array<string>>} サインアウトしたアカウントのユーザー名
+   */
+  async logout() {
+    if (!this.msalClient) {
+      this.createMsalClient();
+    }
+
+    const tokenCache = this.msalClient.getTokenCache();
+    const accounts = await tokenCache.getAllAccounts();
+    for (const account of accounts) {
+      await tokenCache.removeAccount(account);
+    }
+    await this.tokenCache.clear();
+
+    this.accessToken = null;
+    this.tokenExpiry = null;
+
+    return accounts.map(account => account.username);
   }
 
   async loadTokenFromCache() {
@@ -53,7 +152,7 @@ export class ExchangeService {
       const accounts = await this.msalClient.getTokenCache().getAllAccounts();
       if (accounts.length > 0) {
         const silentRequest = {
-          scopes: ['https://graph.microsoft.com/Mail.Read', 'https://graph.microsoft.com/Mail.Read.Shared', 'https://graph.microsoft.com/User.Read'],
+          scopes: this.getScopes(),
           account: accounts[0],
         };
 
@@ -67,6 +166,74 @@ export class ExchangeService {
     }
   }
 
+  /**
+   * アプリケーション権限（クライアント資格情報フロー）用の MSAL 設定
+   * クライアントシークレットを優先し、未設定の場合は証明書を使用する
+   */
+  buildConfidentialClientConfig() {
+    const auth = {
+      clientId: config.azure.clientId,
+      authority: `https://login.microsoftonline.com/${config.azure.tenantId}`,
+    };
+
+    if (config.azure.clientSecret) {
+      auth.clientSecret = config.azure.clientSecret;
+    } else if (config.azure.certificatePath && config.azure.certificateThumbprint) {
+      auth.clientCertificate = {
+        thumbprint: config.azure.certificateThumbprint,
+        privateKey: fs.readFileSync(config.azure.certificatePath, 'utf8'),
+      };
+    } else {
+      throw new Error('AUTH_MODE=app requires CLIENT_SECRET or CLIENT_CERTIFICATE_PATH and CLIENT_CERTIFICATE_THUMBPRINT');
+    }
+
+    return {
+      auth,
+      system: {
+        loggerOptions: {
+          loggerCallback(loglevel, message, containsPii) {
+            if (message.includes('invalid_client')) {
+              console.log('MSAL詳細エラー:', message);
+            }
+          },
+          piiLoggingEnabled: false,
+          logLevel: 3,
+        }
+      }
+    };
+  }
+
+  /**
+   * クライアント資格情報フローでアプリケーション権限のトークンを取得（ブラウザ不要）
+   */
+  async authenticateWithClientCredentials() {
+    try {
+      const response = await this.msalClient.acquireTokenByClientCredential({
+        scopes: ['https://graph.microsoft.com/.default'],
+      });
+
+      if (!this.accessToken) {
+        console.log('✅ アプリケーション権限（クライアント資格情報フロー）で認証しました');
+      }
+      this.accessToken = response.accessToken;
+      this.tokenExpiry = response.expiresOn.getTime() - 300000; // 5分前にリフレッシュ
+    } catch (error) {
+      console.error('❌ クライアント資格情報フロー認証エラー:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * トークン要求に使用するスコープ（書き戻しが有効な場合は Mail.ReadWrite を追加）
+   */
+  getScopes() {
+    const scopes = ['https://graph.microsoft.com/Mail.Read', 'https://graph.microsoft.com/Mail.Read.Shared', 'https://graph.microsoft.com/User.Read'];
+    if (config.writeBack.enabled) {
+      scopes.push('https://graph.microsoft.com/Mail.ReadWrite', 'https://graph.microsoft.com/Mail.ReadWrite.Shared');
+    }
+    return scopes;
+  }
+
   generatePKCECodes() {
     const codeVerifier = crypto.randomBytes(32).toString('base64url');
     const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
@@ -78,17 +245,66 @@ export class ExchangeService {
     };
   }
 
+  /**
+   * 設定された認証モードでユーザーのサインインを行う
+   */
+  async authenticateInteractively() {
+    if (config.azure.authMode === 'device') {
+      await this.authenticateWithDeviceCode();
+    } else {
+      await this.authenticateWithPKCE();
+    }
+  }
+
+  /**
+   * Device Code Flow で認証（ブラウザやコールバック用ポートを使えない SSH セッション向け）
+   * 表示されたコードを別の端末のブラウザで入力すると、完了までポーリングしてトークンを取得する
+   */
+  async authenticateWithDeviceCode() {
+    console.log('🔐 Device Code Flowで認証を開始します...');
+
+    try {
+      const response = await this.msalClient.acquireTokenByDeviceCode({
+        scopes: this.getScopes(),
+        deviceCodeCallback: (deviceCodeResponse) => {
+          console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+          console.log('🔐 Microsoft アカウント認証（Device Code Flow）');
+          console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+          console.log('📱 任意の端末のブラウザで以下のURLにアクセスし、コードを入力してください：');
+          console.log(`🌐 ${deviceCodeResponse.verificationUri}`);
+          console.log(`🔑 コード: ${deviceCodeResponse.userCode}`);
+          console.log('');
+          console.log(`⏳ 有効期限: ${Math.round(deviceCodeResponse.expiresIn / 60)}分`);
+          console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+          console.log('⌛ サインインの完了を待機中...');
+        },
+      });
+
+      // 取得したトークンとアカウントは MSAL のトークンキャッシュに保存され、以降は loadTokenFromCache でサイレント取得される
+      this.accessToken = response.accessToken;
+      this.tokenExpiry = response.expiresOn.getTime() - 300000; // 5分前にリフレッシュ
+
+      console.log(`✅ Device Code Flow認証が完了しました（${response.account?.username || 'unknown account'}）`);
+    } catch (error) {
+      console.error('❌ Device Code認証エラー:', error.message);
+      throw error;
+    }
+  }
+
   async authenticateWithPKCE() {
     console.log('🔐 PKCE付きAuthorization Code Flowで認証を開始します...');
     
     try {
       const pkceCodes = this.generatePKCECodes();
+      // コールバックが今回の認証要求に対するものかを検証するための値
+      const state = crypto.randomBytes(16).toString('base64url');
       
       const authCodeUrlParameters = {
-        scopes: ['https://graph.microsoft.com/Mail.Read', 'https://graph.microsoft.com/Mail.Read.Shared', 'https://graph.microsoft.com/User.Read'],
+        scopes: this.getScopes(),
         codeChallenge: pkceCodes.codeChallenge,
         codeChallengeMethod: pkceCodes.codeChallengeMethod,
-        redirectUri: 'http://localhost:3000/auth/callback'
+        redirectUri: this.getRedirectUri(),
+        state: state
       };
 
       const authCodeUrl = await this.msalClient.getAuthCodeUrl(authCodeUrlParameters);
@@ -109,14 +325,14 @@ export class ExchangeService {
       }, 2000);
 
       // コールバックサーバーを起動して認証コードを受け取る
-      const authCode = await this.startCallbackServer();
+      const authCode = await this.startCallbackServer(state);
       
       // 認証コードを使ってトークンを取得
       const tokenRequest = {
-        scopes: ['https://graph.microsoft.com/Mail.Read', 'https://graph.microsoft.com/Mail.Read.Shared', 'https://graph.microsoft.com/User.Read'],
+        scopes: this.getScopes(),
         code: authCode,
         codeVerifier: pkceCodes.codeVerifier,
-        redirectUri: 'http://localhost:3000/auth/callback'
+        redirectUri: this.getRedirectUri()
       };
 
       const response = await this.msalClient.acquireTokenByCode(tokenRequest);
@@ -132,31 +348,64 @@ export class ExchangeService {
     }
   }
 
-  async startCallbackServer() {
+  getRedirectUri() {
+    return `http://localhost:${config.azure.redirectPort}/auth/callback`;
+  }
+
+  /**
+   * 認証コードを受け取るコールバックサーバーを起動
+   * @param {string} expectedState - 認証要求時に指定した state（一致しないコールバックは無視する）
+   * @returns {Promise<string>} 認証コード
+   */
+  async startCallbackServer(expectedState) {
     const http = await import('http');
-    const url = await import('url');
+    const port = config.azure.redirectPort;
+    const timeoutSeconds = config.azure.callbackTimeoutSeconds;
     
     return new Promise((resolve, reject) => {
+      let timeoutTimer = null;
+
+      const finish = (error, authCode) => {
+        clearTimeout(timeoutTimer);
+        server.close();
+        server.closeAllConnections();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(authCode);
+        }
+      };
+
       const server = http.default.createServer((req, res) => {
-        const parsedUrl = url.default.parse(req.url, true);
+        const requestUrl = new URL(req.url, `http://localhost:${port}`);
         
-        if (parsedUrl.pathname === '/auth/callback') {
-          const authCode = parsedUrl.query.code;
-          const error = parsedUrl.query.error;
+        if (requestUrl.pathname === '/auth/callback') {
+          const authCode = requestUrl.searchParams.get('code');
+          const error = requestUrl.searchParams.get('error');
+          const errorDescription = requestUrl.searchParams.get('error_description');
+          const state = requestUrl.searchParams.get('state');
+
+          // 今回の認証要求以外からのコールバック（CSRF など）は受け付けずに待機を続ける
+          if (state !== expectedState) {
+            console.warn('⚠️ state が一致しないコールバックを受信したため無視しました');
+            res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(`<h1>認証失敗</h1><p>不正な認証応答です（state が一致しません）。</p>`);
+            return;
+          }
           
           if (error) {
             res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
-            res.end(`<h1>認証エラー</h1><p>エラー: ${error}</p>`);
-            server.close();
-            reject(new Error(`認証エラー: ${error}`));
+            res.end(`<h1>認証エラー</h1><p>エラー: ${this.escapeHtml(error)}</p>${errorDescription ? `<p>${this.escapeHtml(errorDescription)}</p>` : ''}`, () => {
+              finish(new Error(`認証エラー: ${error}${errorDescription ? ` (${errorDescription})` : ''}`));
+            });
             return;
           }
           
           if (authCode) {
             res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-            res.end(`<h1>認証成功</h1><p>認証が完了しました。このウィンドウを閉じてください。</p>`);
-            server.close();
-            resolve(authCode);
+            res.end(`<h1>認証成功</h1><p>認証が完了しました。このウィンドウを閉じてください。</p>`, () => {
+              finish(null, authCode);
+            });
           } else {
             res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
             res.end(`<h1>認証失敗</h1><p>認証コードが見つかりません。</p>`);
@@ -167,63 +416,107 @@ export class ExchangeService {
         }
       });
       
-      server.listen(3000, 'localhost', () => {
-        console.log('🌐 コールバックサーバーがポート3000で待機中...');
+      server.listen(port, 'localhost', () => {
+        console.log(`🌐 コールバックサーバーがポート${port}で待機中...（${timeoutSeconds}秒でタイムアウト）`);
+        timeoutTimer = setTimeout(() => {
+          finish(new Error(`認証がタイムアウトしました（${timeoutSeconds}秒以内にサインインが完了しませんでした）。再度実行するか、AUTH_CALLBACK_TIMEOUT_SECONDS を延長してください`));
+        }, timeoutSeconds * 1000);
       });
       
       server.on('error', (err) => {
+        clearTimeout(timeoutTimer);
+        if (err.code === 'EADDRINUSE') {
+          reject(new Error(`コールバック用のポート${port}は使用中です。AUTH_REDIRECT_PORT で別のポートを指定してください`));
+          return;
+        }
         reject(err);
       });
     });
   }
 
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   async getAccessToken() {
     if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
       return this.accessToken;
     }
 
-    // トークンの期限が切れている場合はサイレント更新を試行
-    try {
-      await this.loadTokenFromCache();
-      if (this.accessToken && Date.now() < this.tokenExpiry) {
-        return this.accessToken;
-      }
-    } catch (error) {
-      console.log('🔄 トークンを再取得します...');
-      await this.authenticateWithPKCE();
+    if (config.azure.authMode === 'app') {
+      await this.authenticateWithClientCredentials();
+      return this.accessToken;
     }
 
+    // トークンの期限が切れている場合はサイレント更新を試行し、できなければ再認証する
+    await this.loadTokenFromCache();
+    if (this.accessToken && Date.now() < this.tokenExpiry) {
+      return this.accessToken;
+    }
+
+    console.log('🔄 トークンを再取得します...');
+    await this.authenticateInteractively();
     return this.accessToken;
   }
 
   initializeGraphClient() {
-    this.graphClient = Client.init({
-      authProvider: async (done) => {
-        try {
-          const token = await this.getAccessToken();
-          done(null, token);
-        } catch (error) {
-          done(error, null);
-        }
-      },
+    const authProvider = {
+      getAccessToken: async () => await this.getAccessToken(),
+    };
+
+    // 既定のミドルウェアチェーンのリトライ処理を、回数を集計できる GraphRetryHandler に置き換える
+    this.graphClient = Client.initWithMiddleware({
+      middleware: [
+        new AuthenticationHandler(authProvider),
+        this.retryHandler,
+        new RedirectHandler(),
+        new HTTPMessageHandler(),
+      ],
     });
   }
 
-  async getEmails(lastCheckDate = null, dateRange = null, mailboxEmail = null) {
+  /**
+   * 今回の実行で発生した Graph リクエストのリトライ回数を取得
+   */
+  getRetryStats() {
+    return this.retryHandler.getStats();
+  }
+
+  resetRetryStats() {
+    this.retryHandler.resetStats();
+  }
+
+  /**
+   * メールボックスからメールを取得（@odata.nextLink をたどって全ページ取得）
+   * @param {Date} lastCheckDate - 最後のチェック日時（差分取得時）
+   * @param {Object} dateRange - 期間指定オブジェクト
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は個人メールボックス）
+   * @param {Object} fetchReport - 取得結果の集計先（任意）。上限到達時は truncatedMailboxes に追加される
+   * @returns {Promise<Array>} メール配列
+   */
+  async getEmails(lastCheckDate = null, dateRange = null, mailboxEmail = null, fetchReport = null) {
     try {
       const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
+      const maxEmails = config.app.maxEmailsPerRun;
+      const isIncremental = Boolean(lastCheckDate && !dateRange);
       let query = `/users/${targetMailbox}/messages`;
       
+      // 差分取得時は古い順に取得し、上限到達時も取得済みの範囲までは確実に処理できるようにする
       const queryParams = [
-        '$select=id,subject,body,from,receivedDateTime,hasAttachments,internetMessageId',
-        '$orderby=receivedDateTime desc',
-        `$top=${config.app.maxEmailsPerRun}`
+        `$select=${EMAIL_DETAIL_FIELDS}`,
+        `$orderby=receivedDateTime ${isIncremental ? 'asc' : 'desc'}`,
+        `$top=${Math.min(config.app.graphPageSize, maxEmails)}`
       ];
 
       // 期間フィルタリングの構築
       const filterConditions = [];
       
-      if (lastCheckDate && !dateRange) {
+      if (isIncremental) {
         // 従来の差分取得ロジック
         filterConditions.push(`receivedDateTime gt ${lastCheckDate.toISOString()}`);
       } else if (dateRange) {
@@ -242,22 +535,156 @@ export class ExchangeService {
 
       query += '?' + queryParams.join('&');
 
-      const response = await this.graphClient.api(query).get();
-      return response.value || [];
+      const emails = [];
+      let page = 0;
+      let hasMore = false;
+      let response = await this.graphClient.api(query).get();
+
+      while (true) {
+        page++;
+        emails.push(...(response.value || []));
+        console.log(`📥 ${targetMailbox}: ${emails.length} messages fetched (page ${page})`);
+
+        const nextLink = response['@odata.nextLink'];
+        if (emails.length >= maxEmails) {
+          hasMore = emails.length > maxEmails || Boolean(nextLink);
+          break;
+        }
+        if (!nextLink) {
+          break;
+        }
+
+        response = await this.graphClient.api(nextLink).get();
+      }
+
+      emails.splice(maxEmails);
+      emails.forEach(email => {
+        email.mailboxSource = targetMailbox;
+      });
+
+      if (hasMore) {
+        console.warn(`⚠️ ${targetMailbox}: MAX_EMAILS_PER_RUN (${maxEmails}) reached, remaining messages were not fetched`);
+        if (fetchReport) {
+          fetchReport.truncatedMailboxes.push({
+            mailbox: targetMailbox,
+            fetchedCount: emails.length,
+            isIncremental,
+            lastReceivedDateTime: emails[emails.length - 1]?.receivedDateTime || null
+          });
+        }
+      }
+
+      return emails;
     } catch (error) {
       console.error(`Error fetching emails from ${mailboxEmail || config.exchange.mailboxEmail}:`, error);
       throw error;
     }
   }
 
+  /**
+   * messages/delta を使用してフォルダーの差分メールを取得
+   * 保存済みリンクが失効している場合は、sinceDate 以降を対象に新しい delta 同期を開始する
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は個人メールボックス）
+   * @param {string} folder - フォルダー名またはフォルダーID
+   * @param {string} deltaLink - 前回保存した deltaLink / nextLink（初回はnull）
+   * @param {Date} sinceDate - 新規同期時の受信日時フィルター（nullの場合はフォルダー全体）
+   * @param {Object} fetchReport - 取得結果の集計先（任意）。上限到達時は truncatedMailboxes に追加される
+   * @returns {Promise<{emails: Array, deltaLink: string}>} メール配列と、次回再開に使用するリンク
+   */
+  async getEmailsByDelta(mailboxEmail = null, folder = 'inbox', deltaLink = null, sinceDate = null, fetchReport = null) {
+    const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
+    const maxEmails = config.app.maxEmailsPerRun;
+
+    let url = deltaLink;
+    if (!url) {
+      const queryParams = [`$select=${EMAIL_DETAIL_FIELDS}`];
+      if (sinceDate) {
+        queryParams.push(`$filter=receivedDateTime ge ${sinceDate.toISOString()}`);
+      }
+      url = `/users/${targetMailbox}/mailFolders/${folder}/messages/delta?${queryParams.join('&')}`;
+      console.log(`🔄 ${targetMailbox}/${folder}: starting new delta sync${sinceDate ? ` since ${sinceDate.toISOString()}` : ''}`);
+    }
+
+    try {
+      const emails = [];
+      let page = 0;
+      let nextDeltaLink = null;
+      let hasMore = false;
+
+      while (true) {
+        const response = await this.graphClient
+          .api(url)
+          .header('Prefer', `odata.maxpagesize=${config.app.graphPageSize}`)
+          .get();
+
+        page++;
+        // 削除されたメッセージは @removed 付きで返されるため除外
+        emails.push(...(response.value || []).filter(email => !email['@removed']));
+        console.log(`📥 ${targetMailbox}/${folder}: ${emails.length} messages fetched (delta page ${page})`);
+
+        if (response['@odata.deltaLink']) {
+          nextDeltaLink = response['@odata.deltaLink'];
+          break;
+        }
+
+        url = response['@odata.nextLink'];
+        if (!url) {
+          break;
+        }
+
+        // 上限到達時は nextLink を保存し、次回はその位置から再開する
+        if (emails.length >= maxEmails) {
+          nextDeltaLink = url;
+          hasMore = true;
+          break;
+        }
+      }
+
+      emails.forEach(email => {
+        email.mailboxSource = targetMailbox;
+      });
+
+      if (hasMore) {
+        console.warn(`⚠️ ${targetMailbox}/${folder}: MAX_EMAILS_PER_RUN (${maxEmails}) reached, remaining changes will be fetched in the next run`);
+        if (fetchReport) {
+          fetchReport.truncatedMailboxes.push({
+            mailbox: targetMailbox,
+            folder,
+            fetchedCount: emails.length,
+            isIncremental: true,
+            lastReceivedDateTime: null
+          });
+        }
+      }
+
+      return { emails, deltaLink: nextDeltaLink };
+    } catch (error) {
+      if (deltaLink && this.isDeltaTokenExpired(error)) {
+        console.warn(`⚠️ ${targetMailbox}/${folder}: delta token expired, falling back to date filter`);
+        return await this.getEmailsByDelta(targetMailbox, folder, null, sinceDate, fetchReport);
+      }
+      console.error(`Error fetching delta emails from ${targetMailbox}/${folder}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * delta トークンの失効エラーかどうかを判定
+   */
+  isDeltaTokenExpired(error) {
+    const expiredCodes = ['syncstatenotfound', 'syncstateinvalid', 'resyncrequired'];
+    return error.statusCode === 410 || expiredCodes.includes((error.code || '').toLowerCase());
+  }
+
   async getEmailDetails(emailId, mailboxEmail = null) {
     try {
       const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
       const email = await this.graphClient
         .api(`/users/${targetMailbox}/messages/${emailId}`)
-        .select('id,subject,body,from,toRecipients,ccRecipients,receivedDateTime,hasAttachments,internetMessageId,sender')
+        .select(EMAIL_DETAIL_FIELDS)
         .get();
 
+      email.mailboxSource = targetMailbox;
       return email;
     } catch (error) {
       console.error(`Error fetching email details for ${emailId} from ${mailboxEmail || config.exchange.mailboxEmail}:`, error);
@@ -265,6 +692,200 @@ export class ExchangeService {
     }
   }
 
+  /**
+   * 複数メールの詳細をまとめて取得
+   * 一覧取得時に詳細項目まで取得済みのメールはその内容を再利用し、不足しているメールのみ $batch（最大20件ずつ）で取得する
+   * @param {Array} emails - 一覧取得したメール配列
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は各メールの mailboxSource）
+   * @returns {Promise<Map<string, {email: Object}|{error: Error}>>} メールIDごとの取得結果（失敗したメールは error を持つ）
+   */
+  async getEmailDetailsBatch(emails, mailboxEmail = null) {
+    const results = new Map();
+    const pendingByMailbox = new Map();
+
+    for (const email of emails) {
+      const targetMailbox = mailboxEmail || email.mailboxSource || config.exchange.mailboxEmail;
+      if (this.hasEmailDetails(email)) {
+        email.mailboxSource = targetMailbox;
+        results.set(email.id, { email });
+        continue;
+      }
+
+      if (!pendingByMailbox.has(targetMailbox)) {
+        pendingByMailbox.set(targetMailbox, []);
+      }
+      pendingByMailbox.get(targetMailbox).push(email.id);
+    }
+
+    for (const [targetMailbox, emailIds] of pendingByMailbox) {
+      console.log(`📥 ${targetMailbox}: fetching details for ${emailIds.length} messages via $batch`);
+      for (let i = 0; i < emailIds.length; i += MAX_BATCH_REQUESTS) {
+        await this.fetchEmailDetailsChunk(emailIds.slice(i, i + MAX_BATCH_REQUESTS), targetMailbox, results);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 一覧取得時の内容に詳細取得と同じ項目がすべて含まれているかを判定
+   */
+  hasEmailDetails(email) {
+    return EMAIL_DETAIL_FIELDS.split(',').every(field => field in email);
+  }
+
+  /**
+   * 1回の $batch リクエストでメールの詳細を取得し、結果を results に格納
+   * スロットリングなどで失敗した個別リクエストは、そのリクエストのみを再送する
+   */
+  async fetchEmailDetailsChunk(emailIds, targetMailbox, results) {
+    let pendingIds = emailIds;
+
+    for (let attempt = 0; pendingIds.length > 0; attempt++) {
+      let response;
+      try {
+        response = await this.graphClient.api('/$batch').post({
+          requests: pendingIds.map((emailId, index) => ({
+            id: String(index),
+            method: 'GET',
+            url: `/users/${targetMailbox}/messages/${emailId}?$select=${EMAIL_DETAIL_FIELDS}`
+          }))
+        });
+      } catch (error) {
+        console.error(`Error fetching email details via $batch from ${targetMailbox}:`, error);
+        pendingIds.forEach(emailId => results.set(emailId, { error }));
+        return;
+      }
+
+      const retryIds = [];
+      let delaySeconds = 0;
+
+      for (const item of response.responses || []) {
+        const emailId = pendingIds[Number(item.id)];
+
+        if (item.status >= 200 && item.status < 300) {
+          item.body.mailboxSource = targetMailbox;
+          results.set(emailId, { email: item.body });
+        } else if (this.retryHandler.isRetryableStatus(item.status) && attempt < this.retryHandler.maxRetries) {
+          retryIds.push(emailId);
+          this.retryHandler.recordRetry(item.status);
+          delaySeconds = Math.max(delaySeconds, this.retryHandler.getDelaySeconds({ headers: new Headers(item.headers || {}) }, attempt));
+        } else {
+          if (this.retryHandler.isRetryableStatus(item.status)) {
+            this.retryHandler.recordExhausted();
+          }
+          const error = this.createBatchItemError(item);
+          console.error(`Error fetching email details for ${emailId} from ${targetMailbox}: ${error.message}`);
+          results.set(emailId, { error });
+        }
+      }
+
+      // レスポンスに含まれなかったリクエストは失敗として扱う
+      pendingIds
+        .filter(emailId => !results.has(emailId) && !retryIds.includes(emailId))
+        .forEach(emailId => results.set(emailId, { error: new Error('No response returned for $batch request') }));
+
+      if (retryIds.length > 0) {
+        console.warn(`Graph $batch: ${retryIds.length} requests throttled or failed, retrying in ${delaySeconds.toFixed(1)}s (${attempt + 1}/${this.retryHandler.maxRetries})`);
+        await this.retryHandler.sleep(delaySeconds);
+      }
+      pendingIds = retryIds;
+    }
+  }
+
+  /**
+   * $batch の個別レスポンスのエラーを、通常のリクエストと同じ形式（statusCode, code）のエラーに変換
+   */
+  createBatchItemError(item) {
+    const graphError = item.body?.error || {};
+    const error = new Error(graphError.message || `HTTP ${item.status}`);
+    error.statusCode = item.status;
+    error.code = graphError.code;
+    return error;
+  }
+
+  /**
+   * 会話内で自分たちが最後に返信した日時を送信済みアイテムから取得
+   * @param {string} conversationId - 会話ID
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は個人メールボックス）
+   * @returns {Promise<Date|null>} 最終返信日時（返信がない、または取得に失敗した場合はnull）
+   */
+  async getLastReplyTime(conversationId, mailboxEmail = null) {
+    const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
+    try {
+      // $orderby のプロパティは $filter の先頭にも指定する必要がある（Graph の制約）
+      const response = await this.graphClient
+        .api(`/users/${targetMailbox}/mailFolders/sentitems/messages`)
+        .filter(`sentDateTime ge 1900-01-01T00:00:00Z and conversationId eq '${conversationId.replace(/'/g, "''")}'`)
+        .orderby('sentDateTime desc')
+        .select('id,sentDateTime')
+        .top(1)
+        .get();
+
+      const sentTime = new Date(response.value?.[0]?.sentDateTime);
+      return isNaN(sentTime.getTime()) ? null : sentTime;
+    } catch (error) {
+      console.warn(`Could not fetch replies for conversation in ${targetMailbox}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * メールの添付ファイル一覧を取得し、対応形式の添付ファイルからテキストを抽出
+   * @param {string} emailId - メールID
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は個人メールボックス）
+   * @returns {Promise<Array>} 添付ファイル情報 { attachmentId, name, contentType, size, isInline, attachmentType, extractionStatus, extractedText }
+   */
+  async getEmailAttachments(emailId, mailboxEmail = null) {
+    const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
+    const maxSizeBytes = config.analysis.attachmentMaxSizeMB * 1024 * 1024;
+
+    const response = await this.graphClient
+      .api(`/users/${targetMailbox}/messages/${emailId}/attachments`)
+      .select('id,name,contentType,size,isInline')
+      .get();
+
+    const attachments = [];
+
+    for (const attachment of (response.value || []).slice(0, config.analysis.attachmentMaxCount)) {
+      const info = {
+        attachmentId: attachment.id,
+        name: attachment.name || '',
+        contentType: attachment.contentType || '',
+        size: attachment.size || 0,
+        isInline: Boolean(attachment.isInline),
+        attachmentType: AttachmentTextExtractor.getAttachmentType(attachment),
+        extractionStatus: 'extracted',
+        extractedText: ''
+      };
+
+      // 署名画像などのインライン添付は対象外
+      if (info.isInline) {
+        info.extractionStatus = 'skipped';
+      } else if (!AttachmentTextExtractor.isSupported(attachment)) {
+        info.extractionStatus = 'unsupported';
+      } else if (info.size > maxSizeBytes) {
+        info.extractionStatus = 'too_large';
+      } else {
+        try {
+          let request = this.graphClient.api(`/users/${targetMailbox}/messages/${emailId}/attachments/${attachment.id}`);
+          if (AttachmentTextExtractor.isItemAttachment(attachment)) {
+            request = request.expand('microsoft.graph.itemAttachment/item');
+          }
+          const content = await request.get();
+          info.extractedText = AttachmentTextExtractor.extract(content);
+        } catch (error) {
+          console.warn(`Could not extract text from attachment "${info.name}" of email ${emailId}:`, error.message);
+          info.extractionStatus = 'error';
+        }
+      }
+
+      attachments.push(info);
+    }
+
+    return attachments;
+  }
+
   async markAsRead(emailId, mailboxEmail = null) {
     try {
       const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
@@ -279,6 +900,68 @@ export class ExchangeService {
     }
   }
 
+  /**
+   * メールのプロパティ（分類項目・フラグなど）を更新
+   * @param {string} emailId - メールID
+   * @param {Object} properties - 更新するプロパティ（例: { categories: ['Claim-High'], flag: { flagStatus: 'flagged' } }）
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は個人メールボックス）
+   */
+  async updateMessage(emailId, properties, mailboxEmail = null) {
+    try {
+      const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
+      await this.graphClient
+        .api(`/users/${targetMailbox}/messages/${emailId}`)
+        .patch(properties);
+    } catch (error) {
+      console.error(`Error updating email ${emailId} in ${mailboxEmail || config.exchange.mailboxEmail}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * メールを指定フォルダーに移動
+   * @param {string} emailId - メールID
+   * @param {string} folder - 移動先（既定フォルダー名、フォルダーID、または受信トレイ直下・最上位フォルダーの表示名）
+   * @param {string} mailboxEmail - 対象メールボックス（省略時は個人メールボックス）
+   * @returns {Promise<Object>} 移動後のメール（IDは移動前と異なる）
+   */
+  async moveMessage(emailId, folder, mailboxEmail = null) {
+    const targetMailbox = mailboxEmail || config.exchange.mailboxEmail;
+    try {
+      const destinationId = await this.resolveMailFolderId(folder, targetMailbox);
+      return await this.graphClient
+        .api(`/users/${targetMailbox}/messages/${emailId}/move`)
+        .post({ destinationId });
+    } catch (error) {
+      console.error(`Error moving email ${emailId} to ${folder} in ${targetMailbox}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * フォルダーの表示名をフォルダーIDに変換（見つからない場合は既定フォルダー名・IDとしてそのまま使用）
+   */
+  async resolveMailFolderId(folder, mailboxEmail) {
+    const cacheKey = `${mailboxEmail}:${folder}`;
+    if (this.mailFolderIdCache.has(cacheKey)) {
+      return this.mailFolderIdCache.get(cacheKey);
+    }
+
+    const filter = `displayName eq '${folder.replace(/'/g, "''")}'`;
+    let folderId = folder;
+
+    for (const path of [`/users/${mailboxEmail}/mailFolders`, `/users/${mailboxEmail}/mailFolders/inbox/childFolders`]) {
+      const response = await this.graphClient.api(path).filter(filter).select('id').get();
+      if (response.value?.length > 0) {
+        folderId = response.value[0].id;
+        break;
+      }
+    }
+
+    this.mailFolderIdCache.set(cacheKey, folderId);
+    return folderId;
+  }
+
   extractTextFromEmail(email) {
     let text = email.subject || '';
     
@@ -293,11 +976,47 @@ export class ExchangeService {
     return text.trim();
   }
 
+  /**
+   * メール本文から全文と分析対象のテキスト（引用部分・署名を除いた新規部分）を抽出
+   * @param {Object} email - Graph から取得したメール
+   * @returns {{fullText: string, analysisText: string, quotedText: string, signature: string}}
+   */
+  extractEmailContent(email) {
+    const fullText = this.extractTextFromEmail(email);
+
+    if (!config.analysis.bodyCleaningEnabled || !email.body) {
+      return { fullText, analysisText: fullText, quotedText: '', signature: '' };
+    }
+
+    let bodyText = email.body.content || '';
+    let quotedHtmlText = '';
+
+    if (email.body.contentType === 'html') {
+      const { newHtml, quotedHtml } = EmailBodyCleaner.splitHtmlQuote(bodyText);
+      bodyText = this.stripHtml(newHtml);
+      quotedHtmlText = quotedHtml ? this.stripHtml(quotedHtml) : '';
+    }
+
+    const cleaned = EmailBodyCleaner.clean(bodyText);
+
+    // 新規部分がない場合（本文なしの転送など）は全文を分析する
+    if (!cleaned.newContent) {
+      return { fullText, analysisText: fullText, quotedText: '', signature: '' };
+    }
+
+    return {
+      fullText,
+      analysisText: `${email.subject || ''} ${cleaned.newContent}`.trim(),
+      quotedText: [cleaned.quotedText, quotedHtmlText].filter(Boolean).join('\n'),
+      signature: cleaned.signature
+    };
+  }
+
+  /**
+   * HTML本文を段落・リスト・表の構造を保ったテキストに変換
+   */
   stripHtml(html) {
-    return html
-      .replace(/<[^>]*>/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    return HtmlToTextConverter.convert(html);
   }
 
   /**
@@ -314,41 +1033,43 @@ export class ExchangeService {
     return await this.getEmails(null, dateRange);
   }
 
+  /**
+   * 処理対象の全メールボックス（個人＋共有）のアドレス一覧を取得
+   * @returns {Array<string>} メールボックスのアドレス配列
+   */
+  getAllMailboxAddresses() {
+    const mailboxes = [config.exchange.mailboxEmail, ...config.exchange.sharedMailboxEmails];
+    return [...new Set(mailboxes.filter(Boolean))];
+  }
+
   /**
    * 全メールボックス（個人＋共有）からメールを取得
-   * @param {Date} lastCheckDate - 最後のチェック日時
+   * @param {Date|Object} lastCheckDate - 最後のチェック日時（メールボックスごとに指定する場合は { [mailbox]: Date } 形式）
    * @param {Object} dateRange - 期間指定オブジェクト
+   * @param {Object} fetchReport - 取得結果の集計先（任意）。failedMailboxes / truncatedMailboxes に追加される
    * @returns {Promise<Array>} 全メールボックスからのメール配列（メールボックス情報付き）
    */
-  async getAllMailboxEmails(lastCheckDate = null, dateRange = null) {
+  async getAllMailboxEmails(lastCheckDate = null, dateRange = null, fetchReport = null) {
     const allEmails = [];
-    
-    // 個人メールボックス
-    try {
-      const personalEmails = await this.getEmails(lastCheckDate, dateRange);
-      personalEmails.forEach(email => {
-        email.mailboxSource = config.exchange.mailboxEmail;
-        allEmails.push(email);
-      });
-    } catch (error) {
-      console.error(`Error fetching from personal mailbox ${config.exchange.mailboxEmail}:`, error);
-    }
 
-    // 共有メールボックス
-    for (const sharedMailbox of config.exchange.sharedMailboxEmails) {
+    for (const mailbox of this.getAllMailboxAddresses()) {
+      const mailboxLastCheckDate = lastCheckDate instanceof Date || lastCheckDate === null
+        ? lastCheckDate
+        : lastCheckDate[mailbox] || null;
+
       try {
-        const sharedEmails = await this.getEmails(lastCheckDate, dateRange, sharedMailbox);
-        sharedEmails.forEach(email => {
-          email.mailboxSource = sharedMailbox;
-          allEmails.push(email);
-        });
+        const emails = await this.getEmails(mailboxLastCheckDate, dateRange, mailbox, fetchReport);
+        allEmails.push(...emails);
       } catch (error) {
-        console.error(`Error fetching from shared mailbox ${sharedMailbox}:`, error);
+        console.error(`Error fetching from mailbox ${mailbox}:`, error);
+        if (fetchReport) {
+          fetchReport.failedMailboxes.push(mailbox);
+        }
       }
     }
 
-    // 受信日時でソート
-    allEmails.sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime));
+    // 受信日時の古い順にソート（スレッド履歴を構築できるよう、同じ会話の過去メールを先に処理する）
+    allEmails.sort((a, b) => new Date(a.receivedDateTime) - new Date(b.receivedDateTime));
     
     return allEmails;
   }
@@ -0,0 +1,160 @@
+// リトライ対象のステータスコード（スロットリング・一時的なサーバーエラー）
+const RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+const THROTTLE_STATUS_CODES = [429, 503];
+// 再送しても結果が変わらないメソッド（POST の move・$batch などはサーバー側で処理済みの可能性があるため除く）
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Graph クライアントのミドルウェア: スロットリング（429/503）と一時的なエラーを指数バックオフでリトライする
+ * Retry-After ヘッダーがある場合はその値に従い、リトライ回数を実行ごとに集計する
+ * POST などの冪等でないリクエストは、処理されていないことが確実な 429 と Retry-After 付きの 503 のみリトライする
+ */
+export class GraphRetryHandler {
+  /**
+   * @param {Object} options - リトライ設定
+   * @param {number} options.maxRetries - 1リクエストあたりの最大リトライ回数
+   * @param {number} options.baseDelaySeconds - 初回リトライの待機時間（秒）
+   * @param {number} options.maxDelaySeconds - 1回あたりの最大待機時間（秒）
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelaySeconds = options.baseDelaySeconds ?? 2;
+    this.maxDelaySeconds = options.maxDelaySeconds ?? 120;
+    this.nextMiddleware = null;
+    this.resetStats();
+  }
+
+  setNext(next) {
+    this.nextMiddleware = next;
+  }
+
+  async execute(context) {
+    for (let attempt = 0; ; attempt++) {
+      let networkError = null;
+
+      try {
+        await this.nextMiddleware.execute(context);
+      } catch (error) {
+        // 接続リセットなどのネットワークエラーもリトライ対象とする
+        networkError = error;
+      }
+
+      const status = networkError ? null : context.response?.status;
+      const shouldRetry = this.shouldRetry(context, networkError);
+
+      if (!shouldRetry || !this.isReplayable(context)) {
+        if (networkError) {
+          throw networkError;
+        }
+        return;
+      }
+
+      if (attempt >= this.maxRetries) {
+        this.recordExhausted();
+        console.warn(`Graph request failed after ${this.maxRetries} retries (${networkError ? networkError.message : `HTTP ${status}`}): ${this.describeRequest(context)}`);
+        if (networkError) {
+          throw networkError;
+        }
+        return;
+      }
+
+      const delaySeconds = this.getDelaySeconds(networkError ? null : context.response, attempt);
+      this.recordRetry(status);
+
+      console.warn(`Graph request ${networkError ? `error (${networkError.message})` : `returned HTTP ${status}`}, retrying in ${delaySeconds.toFixed(1)}s (${attempt + 1}/${this.maxRetries}): ${this.describeRequest(context)}`);
+      await this.sleep(delaySeconds);
+    }
+  }
+
+  /**
+   * 待機時間を計算（Retry-After を優先し、なければ指数バックオフ＋ジッター）
+   */
+  getDelaySeconds(response, attempt) {
+    const retryAfter = response?.headers?.get('Retry-After');
+    let delaySeconds;
+
+    if (retryAfter) {
+      delaySeconds = isNaN(Number(retryAfter))
+        ? (new Date(retryAfter).getTime() - Date.now()) / 1000
+        : Number(retryAfter);
+    }
+
+    if (delaySeconds === undefined || isNaN(delaySeconds) || delaySeconds < 0) {
+      delaySeconds = this.baseDelaySeconds * Math.pow(2, attempt) + Math.random();
+    }
+
+    return Math.min(delaySeconds, this.maxDelaySeconds);
+  }
+
+  /**
+   * レスポンス（またはネットワークエラー）がリトライ対象かどうか
+   * 冪等でないリクエストは、サーバー側で処理済みの可能性がある 5xx・ネットワークエラーでは再送しない
+   */
+  shouldRetry(context, networkError) {
+    const method = (context.options?.method || 'GET').toUpperCase();
+    if (IDEMPOTENT_METHODS.includes(method)) {
+      return networkError ? this.isRetryableError(networkError) : this.isRetryableStatus(context.response?.status);
+    }
+
+    if (networkError) {
+      return false;
+    }
+
+    const status = context.response?.status;
+    return status === 429 || (status === 503 && Boolean(context.response.headers?.get('Retry-After')));
+  }
+
+  isRetryableStatus(status) {
+    return RETRY_STATUS_CODES.includes(status);
+  }
+
+  isRetryableError(error) {
+    const retryableCodes = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+    return retryableCodes.includes(error.code) || retryableCodes.includes(error.cause?.code) || error.name === 'FetchError';
+  }
+
+  /**
+   * ストリームのボディを持つリクエストは再送できないためリトライしない
+   */
+  isReplayable(context) {
+    const body = context.options?.body;
+    return !body || typeof body === 'string' || body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+  }
+
+  describeRequest(context) {
+    const method = context.options?.method || 'GET';
+    const url = typeof context.request === 'string' ? context.request : context.request?.url;
+    return `${method} ${(url || '').split('?')[0]}`;
+  }
+
+  sleep(seconds) {
+    return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  }
+
+  /**
+   * リトライを集計（$batch の個別レスポンスのリトライにも使用する）
+   * @param {number|null} status - リトライ対象のステータスコード（ネットワークエラーの場合はnull）
+   */
+  recordRetry(status) {
+    this.stats.retries++;
+    if (THROTTLE_STATUS_CODES.includes(status)) {
+      this.stats.throttled++;
+    }
+  }
+
+  recordExhausted() {
+    this.stats.exhausted++;
+  }
+
+  /**
+   * 実行ごとのリトライ集計を取得
+   * @returns {{retries: number, throttled: number, exhausted: number}} リトライ回数、うちスロットリング（429/503）による回数、リトライ上限に達したリクエスト数
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  resetStats() {
+    this.stats = { retries: 0, throttled: 0, exhausted: 0 };
+  }
+}
@@ -0,0 +1,254 @@
+// 内容ごと削除する要素
+const REMOVED_BLOCK_PATTERN = /<(head|style|script|title|xml|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// 前後に改行を入れるブロック要素
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'html', 'main', 'nav', 'p', 'section', 'table', 'tbody', 'tfoot', 'thead', 'caption'
+]);
+
+// 終了タグを持たない要素
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// プレヘッダーなど画面に表示されない要素の判定
+const HIDDEN_STYLE_PATTERN = /(display\s*:\s*none|visibility\s*:\s*hidden|mso-hide\s*:\s*all|max-height\s*:\s*0(px)?\s*(;|$))/i;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', minus: '−',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  bull: '•', middot: '·', deg: '°', plusmn: '±', times: '×', divide: '÷',
+  yen: '¥', euro: '€', pound: '£', cent: '¢', sect: '§', para: '¶',
+  laquo: '«', raquo: '»', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+  zwnj: '', zwj: '', shy: '', lrm: '', rlm: ''
+};
+
+// 不可視文字（プレヘッダーの詰め物として使われる）
+const INVISIBLE_CHARS_PATTERN = /[\u00ad\u034f\u200b-\u200f\u2028\u2029\u2060\ufeff]/g;
+
+// リストの字下げ（空白の整理で削除されないよう、整理後に空白に置き換える）
+const LIST_INDENT = '\u0001';
+
+/**
+ * HTMLメール本文を、段落・リスト・表の構造を保ったプレーンテキストに変換する
+ */
+export class HtmlToTextConverter {
+  /**
+   * @param {string} html - HTML本文
+   * @returns {string} プレーンテキスト
+   */
+  static convert(html) {
+    if (!html) {
+      return '';
+    }
+
+    const source = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!\[(if|endif)[^\]]*\]>/gi, '')
+      .replace(/<!DOCTYPE[^>]*>/gi, '')
+      .replace(REMOVED_BLOCK_PATTERN, '');
+
+    const output = [];
+    const listStack = [];
+    const rowStack = [];
+    let hiddenTag = null;
+    let hiddenDepth = 0;
+    let preDepth = 0;
+
+    const appendNewline = (count = 1) => {
+      let trailing = 0;
+      for (let i = output.length - 1; i >= 0 && trailing < count; i--) {
+        if (output[i] === '\n') {
+          trailing++;
+        } else if (output[i].trim() === '') {
+          continue;
+        } else {
+          break;
+        }
+      }
+      for (let i = trailing; i < count; i++) {
+        output.push('\n');
+      }
+    };
+
+    const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)|(<)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+      const [, closing, rawTagName, attributes, text, strayLessThan] = match;
+
+      if (text !== undefined || strayLessThan !== undefined) {
+        if (hiddenTag) {
+          continue;
+        }
+        const decoded = this.decodeEntities(text ?? strayLessThan);
+        output.push(preDepth > 0 ? decoded : decoded.replace(/[ \t\r\n\f]+/g, ' '));
+        continue;
+      }
+
+      const tagName = rawTagName.toLowerCase();
+      const isClosing = closing === '/';
+      const isSelfClosing = VOID_TAGS.has(tagName) || /\/\s*$/.test(attributes);
+
+      // 非表示要素は対応する終了タグまで読み飛ばす
+      if (hiddenTag) {
+        if (tagName === hiddenTag && !isSelfClosing) {
+          hiddenDepth += isClosing ? -1 : 1;
+          if (hiddenDepth === 0) {
+            hiddenTag = null;
+          }
+        }
+        continue;
+      }
+
+      if (!isClosing && !isSelfClosing && this.isHidden(attributes)) {
+        hiddenTag = tagName;
+        hiddenDepth = 1;
+        continue;
+      }
+
+      switch (tagName) {
+        case 'br':
+          output.push('\n');
+          break;
+
+        case 'hr':
+          appendNewline();
+          output.push('----------');
+          appendNewline();
+          break;
+
+        case 'img': {
+          const alt = this.getAttribute(attributes, 'alt');
+          if (alt) {
+            output.push(`[${alt}]`);
+          }
+          break;
+        }
+
+        case 'pre':
+          appendNewline();
+          preDepth += isClosing ? -1 : 1;
+          preDepth = Math.max(preDepth, 0);
+          break;
+
+        case 'ul':
+        case 'ol':
+          if (isClosing) {
+            listStack.pop();
+          } else {
+            listStack.push({ ordered: tagName === 'ol', index: 0 });
+          }
+          appendNewline();
+          break;
+
+        case 'li':
+          if (!isClosing) {
+            appendNewline();
+            const list = listStack[listStack.length - 1];
+            const indent = LIST_INDENT.repeat(Math.max(listStack.length - 1, 0));
+            if (list?.ordered) {
+              list.index++;
+              output.push(`${indent}${list.index}. `);
+            } else {
+              output.push(`${indent}・`);
+            }
+          } else {
+            appendNewline();
+          }
+          break;
+
+        case 'tr':
+          appendNewline();
+          if (isClosing) {
+            rowStack.pop();
+          } else {
+            rowStack.push({ cellCount: 0, inCell: false });
+          }
+          break;
+
+        case 'td':
+        case 'th': {
+          const row = rowStack[rowStack.length - 1];
+          if (row) {
+            if (!isClosing) {
+              if (row.cellCount > 0) {
+                output.push(' | ');
+              }
+              row.cellCount++;
+            }
+            row.inCell = !isClosing;
+          }
+          break;
+        }
+
+        default:
+          if (BLOCK_TAGS.has(tagName)) {
+            // セル内の段落（Outlook はセルの内容を <p> で囲む）は改行せず、1行のセルとして扱う
+            if (rowStack[rowStack.length - 1]?.inCell && tagName !== 'table') {
+              output.push(' ');
+            } else {
+              appendNewline(tagName === 'p' || /^h\d$/.test(tagName) ? 2 : 1);
+            }
+          }
+          break;
+      }
+    }
+
+    return this.normalizeWhitespace(output.join(''));
+  }
+
+  static isHidden(attributes) {
+    if (/\shidden(\s|=|$)/i.test(attributes)) {
+      return true;
+    }
+    const style = this.getAttribute(attributes, 'style');
+    return Boolean(style && HIDDEN_STYLE_PATTERN.test(style));
+  }
+
+  static getAttribute(attributes, name) {
+    const pattern = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i');
+    const match = pattern.exec(attributes || '');
+    if (!match) {
+      return null;
+    }
+    return this.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+
+  /**
+   * 名前付き・数値文字参照をデコード
+   */
+  static decodeEntities(text) {
+    return text
+      .replace(/&#(\d+);?/g, (entity, code) => this.fromCodePoint(parseInt(code, 10), entity))
+      .replace(/&#x([0-9a-f]+);?/gi, (entity, code) => this.fromCodePoint(parseInt(code, 16), entity))
+      .replace(/&([a-z][a-z0-9]*);/gi, (entity, name) => {
+        const decoded = NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+      })
+      .replace(/\u00a0/g, ' ')
+      .replace(INVISIBLE_CHARS_PATTERN, '');
+  }
+
+  static fromCodePoint(code, fallback) {
+    if (isNaN(code) || code <= 0 || code > 0x10ffff) {
+      return fallback;
+    }
+    return String.fromCodePoint(code);
+  }
+
+  /**
+   * 行ごとの余分な空白と、連続する空行を整理
+   */
+  static normalizeWhitespace(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim().replace(new RegExp(LIST_INDENT, 'g'), '  '))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * MSAL のトークンキャッシュをファイルに永続化するキャッシュプラグイン
+ * ファイルは所有者のみ読み書き可能（0600）で保存し、暗号化キーが指定された場合は AES-256-GCM で暗号化する
+ */
+export class FileTokenCachePlugin {
+  /**
+   * @param {string} cachePath - キャッシュファイルのパス
+   * @param {string|null} encryptionKey - 暗号化キー（省略時は平文で保存）
+   */
+  constructor(cachePath, encryptionKey = null) {
+    this.cachePath = path.resolve(cachePath);
+    this.encryptionKey = encryptionKey || null;
+  }
+
+  get isEncrypted() {
+    return Boolean(this.encryptionKey);
+  }
+
+  async beforeCacheAccess(cacheContext) {
+    if (!fs.existsSync(this.cachePath)) {
+      return;
+    }
+
+    try {
+      const data = await fs.promises.readFile(this.cachePath, 'utf8');
+      cacheContext.tokenCache.deserialize(this.decode(data));
+    } catch (error) {
+      console.warn('⚠️ トークンキャッシュを読み込めませんでした（再認証が必要です）:', error.message);
+    }
+  }
+
+  async afterCacheAccess(cacheContext) {
+    if (!cacheContext.cacheHasChanged) {
+      return;
+    }
+
+    await this.write(this.encode(cacheContext.tokenCache.serialize()));
+  }
+
+  /**
+   * キャッシュファイルを削除
+   */
+  async clear() {
+    await fs.promises.rm(this.cachePath, { force: true });
+  }
+
+  async write(data) {
+    await fs.promises.mkdir(path.dirname(this.cachePath), { recursive: true, mode: 0o700 });
+
+    // 書き込み途中のファイルを読まれないよう、一時ファイルに書き込んでから置き換える
+    const tempPath = `${this.cachePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, data, { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(tempPath, this.cachePath);
+    await fs.promises.chmod(this.cachePath, 0o600);
+  }
+
+  encode(serialized) {
+    if (!this.encryptionKey) {
+      return serialized;
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.deriveKey(salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(serialized, 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      algorithm: ENCRYPTION_ALGORITHM,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+  }
+
+  decode(data) {
+    const parsed = JSON.parse(data);
+    if (!parsed.ciphertext) {
+      // 平文のキャッシュ（暗号化キー設定前に保存されたもの）は次回保存時に暗号化される
+      return data;
+    }
+
+    if (!this.encryptionKey) {
+      throw new Error('Token cache is encrypted but TOKEN_CACHE_ENCRYPTION_KEY is not set');
+    }
+
+    const decipher = crypto.createDecipheriv(
+      parsed.algorithm,
+      this.deriveKey(Buffer.from(parsed.salt, 'base64')),
+      Buffer.from(parsed.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(parsed.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(parsed.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  deriveKey(salt) {
+    return crypto.scryptSync(this.encryptionKey, salt, 32);
+  }
+}
@@ -1,3 +1,5 @@
+import { getClaimTaxonomy } from '../../config/claimTaxonomy.js';
+
 export class ClaimFormatter {
   static formatClaimsTable(claims) {
     if (claims.length === 0) {
@@ -9,6 +11,7 @@ export class ClaimFormatter {
     const headerRow = headers.map(h => h.padEnd(Math.max(h.length, 10))).join(' | ');
 
     let output = `\n${headerRow}\n${separator}\n`;
+    const taxonomy = getClaimTaxonomy();
 
     claims.forEach(claim => {
       const date = new Date(claim.receivedDateTime).toLocaleString('ja-JP');
@@ -20,8 +23,8 @@ export class ClaimFormatter {
         date.padEnd(20),
         sender.padEnd(30),
         subject.padEnd(40),
-        (claim.category || '').padEnd(10),
-        (claim.severity || '').padEnd(10),
+        (taxonomy.getCategoryLabel(claim.category) || '').padEnd(10),
+        (taxonomy.getSeverityLabel(claim.severity) || '').padEnd(10),
         `${claim.confidence}%`.padEnd(10),
         summary.padEnd(50)
       ].join(' | ');
@@ -34,6 +37,7 @@ export class ClaimFormatter {
 
   static formatClaimDetails(claim) {
     const date = new Date(claim.receivedDateTime).toLocaleString('ja-JP');
+    const taxonomy = getClaimTaxonomy();
     
     return `
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -44,9 +48,10 @@ export class ClaimFormatter {
 👤 差出人: ${claim.senderName} <${claim.senderEmail}>
 📋 件名: ${claim.subject}
 
-🏷️ カテゴリ: ${claim.category}
-⚠️ 重要度: ${claim.severity}
+🏷️ カテゴリ: ${taxonomy.getCategoryLabel(claim.category)} (${claim.category})
+⚠️ 重要度: ${taxonomy.getSeverityIcon(claim.severity)} ${taxonomy.getSeverityLabel(claim.severity)} (${claim.severity})
 📊 信頼度: ${claim.confidence}%
+🧾 プロンプト: ${claim.promptVersion || '不明'}
 
 💭 要約:
 ${claim.summary}
@@ -82,9 +87,10 @@ ${claim.bodyContent}
 📊 カテゴリ別:
 `;
 
+    const taxonomy = getClaimTaxonomy();
     if (stats.claimsByCategory && stats.claimsByCategory.length > 0) {
       stats.claimsByCategory.forEach(cat => {
-        output += `  • ${cat.category}: ${cat.count}件\n`;
+        output += `  • ${taxonomy.getCategoryLabel(cat.category)}: ${cat.count}件\n`;
       });
     } else {
       output += '  データなし\n';
@@ -93,18 +99,41 @@ ${claim.bodyContent}
     output += '\n⚠️ 重要度別:\n';
     if (stats.claimsBySeverity && stats.claimsBySeverity.length > 0) {
       stats.claimsBySeverity.forEach(sev => {
-        const icon = sev.severity === 'high' ? '🔴' : sev.severity === 'medium' ? '🟡' : '🟢';
-        output += `  ${icon} ${sev.severity}: ${sev.count}件\n`;
+        output += `  ${taxonomy.getSeverityIcon(sev.severity)} ${taxonomy.getSeverityLabel(sev.severity)}: ${sev.count}件\n`;
       });
     } else {
       output += '  データなし\n';
     }
 
+    // 判定結果ではなく「クレームではない」として集計されないよう、判定できなかったメールを分けて表示
+    if (stats.unanalyzedByOutcome && stats.unanalyzedByOutcome.length > 0) {
+      output += '\n❔ 判定できなかったメール:\n';
+      stats.unanalyzedByOutcome.forEach(row => {
+        output += `  ${this.getOutcomeLabel(row.analysis_outcome)}: ${row.count}件\n`;
+      });
+    }
+
     output += '\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
 
     return output;
   }
 
+  /**
+   * 分析結果の種類（claims.analysis_outcome）の表示名
+   */
+  static getOutcomeLabel(outcome) {
+    switch (outcome) {
+      case 'content_filtered':
+        return '🚫 フィルター';
+      case 'parse_error':
+        return '❓ 応答解析エラー';
+      case 'error':
+        return '⚠️ 分析エラー';
+      default:
+        return outcome;
+    }
+  }
+
   static formatProcessingLog(logs) {
     if (logs.length === 0) {
       return '処理ログが見つかりませんでした。';
@@ -134,11 +163,134 @@ ${claim.bodyContent}
       if (log.errors) {
         output += `  エラー: ${log.errors}\n`;
       }
+
+      if (log.warnings) {
+        output += `  ⚠️ 警告: ${log.warnings}\n`;
+      }
+
+      if (log.graph_retries > 0) {
+        output += `  🔁 Graph リトライ: ${log.graph_retries}回（スロットリング: ${log.graph_throttled || 0}回、上限到達: ${log.graph_retries_exhausted || 0}件）\n`;
+      }
     });
 
     return output;
   }
 
+  static formatThreadsTable(threads) {
+    if (threads.length === 0) {
+      return 'スレッドが見つかりませんでした。';
+    }
+
+    const headers = ['最終受信', '件名', 'メール数', '催促数', '最終返信から', '重要度推移', '状態'];
+    const separator = headers.map(h => '-'.repeat(Math.max(h.length, 10))).join(' | ');
+    const headerRow = headers.map(h => h.padEnd(Math.max(h.length, 10))).join(' | ');
+
+    let output = `\n${headerRow}\n${separator}\n`;
+
+    threads.forEach(thread => {
+      const lastReceived = new Date(thread.lastReceivedAt).toLocaleString('ja-JP');
+      const subject = (thread.subject || '無題').substring(0, 40);
+      const sinceReply = thread.hoursSinceLastReply === null
+        ? '未返信'
+        : this.formatElapsedHours(thread.hoursSinceLastReply);
+      const status = thread.isEscalating ? '🔺 悪化' : thread.unansweredCount > 0 ? '⏳ 返信待ち' : '✅ 返信済み';
+
+      const row = [
+        lastReceived.padEnd(20),
+        subject.padEnd(40),
+        String(thread.messageCount).padEnd(10),
+        String(thread.followUps).padEnd(10),
+        sinceReply.padEnd(10),
+        this.formatSeverityTrail(thread.severityTrail).padEnd(20),
+        status
+      ].join(' | ');
+
+      output += `${row}\n`;
+    });
+
+    return output;
+  }
+
+  static formatThreadDetails(thread) {
+    const taxonomy = getClaimTaxonomy();
+    const messages = thread.messages.map((message, index) => {
+      const date = new Date(message.receivedDateTime).toLocaleString('ja-JP');
+      const result = message.isClaim
+        ? `🚨 ${taxonomy.getCategoryLabel(message.category)} / ${taxonomy.getSeverityLabel(message.severity)}`
+        : '✅ クレームなし';
+      return `  ${index + 1}. ${date}  ${message.senderName} <${message.senderEmail}>  ${result}`;
+    }).join('\n');
+
+    return `
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+🧵 スレッド詳細
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+📋 件名: ${thread.subject}
+📮 メールボックス: ${thread.mailboxSource}
+📧 メール数: ${thread.messageCount}（催促 ${thread.followUps}回、未返信 ${thread.unansweredCount}件）
+↩️ 最終返信: ${thread.lastReplyAt ? new Date(thread.lastReplyAt).toLocaleString('ja-JP') : '未返信'}
+⏳ 返信待ち時間: ${thread.unansweredCount > 0 ? this.formatElapsedHours(thread.hoursWaiting) : 'なし'}
+⚠️ 重要度推移: ${this.formatSeverityTrail(thread.severityTrail)}
+
+📨 メール一覧:
+${messages}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+`;
+  }
+
+  static formatSeverityTrail(severityTrail) {
+    const taxonomy = getClaimTaxonomy();
+    return severityTrail.map(severity => severity === 'none' ? '-' : taxonomy.getSeverityLabel(severity)).join(' → ');
+  }
+
+  static formatElapsedHours(hours) {
+    if (hours < 24) {
+      return `${Math.floor(hours)}時間`;
+    }
+    return `${Math.floor(hours / 24)}日${Math.floor(hours % 24)}時間`;
+  }
+
+  static formatAuthStatus(status) {
+    const authModeLabels = {
+      pkce: 'PKCE付きAuthorization Code Flow（ブラウザ）',
+      device: 'Device Code Flow',
+      app: 'アプリケーション権限（クライアント資格情報）'
+    };
+
+    let accounts;
+    if (status.authMode === 'app') {
+      accounts = '  アプリケーション権限ではユーザーアカウントを使用しません';
+    } else if (status.accounts.length === 0) {
+      accounts = '  キャッシュされているアカウントはありません（次回実行時にサインインが必要です）';
+    } else {
+      accounts = status.accounts.map(account => {
+        const expiresOn = account.accessTokenExpiresOn
+          ? `${account.accessTokenExpiresOn.toLocaleString('ja-JP')}${account.accessTokenExpiresOn < new Date() ? '（期限切れ）' : ''}`
+          : 'なし';
+        return `  👤 ${account.username}${account.name ? ` (${account.name})` : ''}
+     テナント: ${account.tenantId}
+     アクセストークン有効期限: ${expiresOn}
+     リフレッシュトークン: ${account.hasRefreshToken ? 'あり（期限切れ時はサイレント更新）' : 'なし'}`;
+      }).join('\n');
+    }
+
+    return `
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+🔐 認証状態
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+認証モード: ${authModeLabels[status.authMode] || status.authMode}
+トークンキャッシュ: ${status.cachePath}（${status.encrypted ? '暗号化あり' : '暗号化なし'}）
+
+アカウント:
+${accounts}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+`;
+  }
+
   static showMenu() {
     return `
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -147,26 +299,42 @@ ${claim.bodyContent}
 
 コマンド一覧:
   1️⃣  process     - メールを処理してクレームを検知
-  2️⃣  claims      - 検出されたクレーム一覧を表示
-  3️⃣  stats       - クレーム統計を表示
-  4️⃣  report      - AIによるクレームレポートを生成
-  5️⃣  logs        - 処理ログを表示
-  6️⃣  history     - 処理済みメール履歴を表示
-  7️⃣  help        - このヘルプを表示
-  8️⃣  exit        - アプリケーションを終了
+  2️⃣  watch       - 一定間隔でメール処理を繰り返し実行（daemon も可）
+  3️⃣  claims      - 検出されたクレーム一覧を表示
+  4️⃣  stats       - クレーム統計を表示
+  5️⃣  report      - AIによるクレームレポートを生成
+  6️⃣  logs        - 処理ログを表示
+  7️⃣  history     - 処理済みメール履歴を表示
+  8️⃣  threads     - スレッドごとの催促・エスカレーション状況を表示
+  🔐  auth status - 認証状態（キャッシュされたアカウント・トークン有効期限）を表示
+  🚪  logout      - サインアウトしてトークンキャッシュを削除
+  9️⃣  help        - このヘルプを表示
+  🔟  exit        - アプリケーションを終了
 
 processコマンドのオプション:
   process --debug / process -d       - デバッグモードでメール処理を実行
+  process --provider=ollama          - 使用するAIプロバイダーを指定（azure / local / openai / ollama）
+  process --localllm                 - ローカルLLM（ONNX NPUサーバー）を使用（--provider=local と同等）
   process --email-address=test@example.com / process -email test@example.com
                                      - 指定メールボックスからのみメール取得
+  process --all-mailboxes            - 個人＋全共有メールボックスからメール取得
+  process --delta                    - Graph delta クエリで差分同期（SYNC_MODE=delta と同等）
+  process --thread-context           - 同じスレッドの過去メールを分析に含める
+  process --write-back-dry-run       - Exchangeへの書き戻し内容を表示のみ（メールは変更しない）
   process --days=7                   - 過去7日間のメールを処理
   process --hours=24                 - 過去24時間のメールを処理
   process --from=2025-08-20          - 指定日時以降のメールを処理
   process --to=2025-08-22            - 指定日時までのメールを処理
   process --from=2025-08-20 --to=2025-08-22  - 期間指定でメールを処理
 
+watchコマンドのオプション:
+  watch                              - CHECK_INTERVAL_MINUTES 間隔でメール処理を実行
+  watch --interval=10                - 10分間隔でメール処理を実行
+  watch --email-address=... --localllm --concurrency=5
+                                     - processコマンドと同じオプションを指定可能
+
 フィルター例:
-  claims --category=product      - 商品関連のクレーム
+  claims --category=回答遅延      - 指定カテゴリのクレーム（カテゴリID・表示名のどちらでも可）
   claims --severity=high         - 重要度の高いクレーム
   claims --confidence=80         - 信頼度80%以上のクレーム
   claims --limit=10              - 最新10件のクレーム
@@ -174,6 +342,11 @@ processコマンドのオプション:
   history --limit=20             - 最新20件のメール履歴
   history --sender=example.com   - 指定送信者のメール履歴
   history --date-from=2024-01-01 - 指定日以降のメール履歴
+  history --mailbox=team@example.com - 指定メールボックスのメール履歴
+
+  threads --min-followups=2      - 2回以上催促されているスレッド
+  threads --mailbox=team@example.com --limit=20
+                                 - 指定メールボックスの最新20スレッド
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 `;
@@ -194,9 +367,12 @@ processコマンドのオプション:
       const receivedDate = new Date(email.received_date_time).toLocaleString('ja-JP');
       const sender = `${email.sender_name || ''} <${email.sender_email || ''}>`.substring(0, 30);
       const subject = (email.subject || '無題').substring(0, 40);
-      const claimStatus = email.is_claim ? 
-        `🚨 クレーム (${email.confidence}%)` : 
+      let claimStatus = email.is_claim ?
+        `🚨 クレーム (${email.confidence}%)` :
         '✅ 正常';
+      if (email.analysis_outcome && email.analysis_outcome !== 'analyzed') {
+        claimStatus = this.getOutcomeLabel(email.analysis_outcome);
+      }
       const processedAt = new Date(email.processed_at).toLocaleString('ja-JP');
 
       const row = [
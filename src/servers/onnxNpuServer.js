@@ -2,23 +2,42 @@ import express from 'express';
 import cors from 'cors';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import fs from 'fs';
+import * as ort from 'onnxruntime-node';
+import { Tokenizer } from '@huggingface/tokenizers';
+import { JsonResponseParser } from '../infrastructure/ai/jsonResponseParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * 生成結果が response_format（json_object / json_schema）に合わない場合のエラー
+ * 呼び出し元が再問い合わせできるよう、検証エラーと生成結果をそのまま保持する
+ */
+class ResponseFormatError extends Error {
+  constructor(message, content, errors = []) {
+    super(message);
+    this.name = 'ResponseFormatError';
+    this.content = content;
+    this.errors = errors;
+  }
+}
+
 export class ONNXNPUServer {
   constructor() {
     this.app = express();
     this.server = null;
     this.port = process.env.ONNX_NPU_PORT || 5834;
-    this.modelPath = process.env.ONNX_MODEL_PATH || './models/phi-3-mini-4k-instruct.onnx';
+    this.modelPath = process.env.ONNX_MODEL_PATH || './models/phi-3-mini-4k-instruct-cpu-int4';
     this.executionProviders = process.env.ONNX_EXECUTION_PROVIDERS?.split(',') || ['dml', 'cpu'];
     this.isModelLoaded = false;
+    this.loadError = null;
     this.modelSession = null;
     this.tokenizer = null;
     this.modelConfig = null;
+    this.activeExecutionProviders = [];
+    this.stopTokenIds = new Set();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -40,11 +59,13 @@ export class ONNXNPUServer {
     this.app.post('/api/chat/completions', async (req, res) => {
       try {
         if (!this.isModelLoaded) {
-          return res.status(503).json({ 
-            error: { 
-              message: 'Model not loaded yet. Please wait for initialization to complete.',
-              type: 'model_not_ready' 
-            } 
+          return res.status(503).json({
+            error: {
+              message: this.loadError
+                ? `Model is not available: ${this.loadError}`
+                : 'Model not loaded yet. Please wait for initialization to complete.',
+              type: 'model_not_ready'
+            }
           });
         }
 
@@ -52,7 +73,8 @@ export class ONNXNPUServer {
           messages, 
           temperature = 0.7, 
           max_tokens = 512,
-          stream = false 
+          stream = false,
+          response_format = null
         } = req.body;
 
         if (!messages || !Array.isArray(messages)) {
@@ -66,21 +88,21 @@ export class ONNXNPUServer {
 
         console.log(`[ONNX-NPU] Processing ${messages.length} messages`);
 
-        // シミュレーション（実際のONNX Runtimeロジックはここに実装）
-        const response = await this.generateResponse(messages, { temperature, max_tokens });
+        const response = await this.generateResponse(messages, { temperature, max_tokens, responseFormat: response_format });
+        const content = this.validateResponseFormat(response.content, response_format);
 
         const result = {
           id: `chatcmpl-${Date.now()}`,
           object: 'chat.completion',
           created: Math.floor(Date.now() / 1000),
-          model: 'phi-3-mini-npu',
+          model: this.modelId,
           choices: [{
             index: 0,
             message: {
               role: 'assistant',
-              content: response.content
+              content
             },
-            finish_reason: 'stop'
+            finish_reason: response.finishReason
           }],
           usage: {
             prompt_tokens: response.promptTokens,
@@ -92,6 +114,19 @@ export class ONNXNPUServer {
         res.json(result);
 
       } catch (error) {
+        // 形式に合わない生成結果は成功として返さず、生成結果と検証エラーを添えて 422 を返す
+        if (error instanceof ResponseFormatError) {
+          console.warn(`[ONNX-NPU] ⚠️ Rejected output: ${error.message}`);
+          return res.status(422).json({
+            error: {
+              message: error.message,
+              type: 'invalid_response_format',
+              errors: error.errors,
+              content: error.content
+            }
+          });
+        }
+
         console.error('[ONNX-NPU] API Error:', error);
         res.status(500).json({ 
           error: {
@@ -103,13 +138,17 @@ export class ONNXNPUServer {
     });
 
     // ヘルスチェックエンドポイント
+    // モデルの読み込み中・読み込み失敗時は 503 を返す（失敗時は error に理由を設定）
     this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'ok',
+      const status = this.isModelLoaded ? 'ok' : (this.loadError ? 'error' : 'loading');
+      res.status(status === 'ok' ? 200 : 503).json({
+        status,
         model_loaded: this.isModelLoaded,
+        error: this.loadError,
         model_config: this.modelConfig,
         model_path: this.modelPath,
         execution_providers: this.executionProviders,
+        active_execution_providers: this.activeExecutionProviders,
         port: this.port,
         uptime: process.uptime(),
         memory: process.memoryUsage(),
@@ -119,11 +158,10 @@ export class ONNXNPUServer {
 
     // モデル情報エンドポイント
     this.app.get('/api/models', (req, res) => {
-      const modelId = this.modelConfig?.name.toLowerCase().replace(/\s+/g, '-') || 'unknown-model';
       res.json({
         object: 'list',
         data: [{
-          id: modelId,
+          id: this.modelId,
           object: 'model',
           created: Math.floor(Date.now() / 1000),
           owned_by: 'local-onnx-npu',
@@ -134,30 +172,129 @@ export class ONNXNPUServer {
     });
   }
 
+  get modelId() {
+    return this.modelConfig?.name.toLowerCase().replace(/\s+/g, '-') || 'unknown-model';
+  }
+
+  /**
+   * ONNX_MODEL_PATH のモデルとトークナイザーを読み込む
+   * ONNX_MODEL_PATH には ONNX Runtime GenAI 形式のモデルディレクトリ、またはその中の .onnx ファイルを指定する
+   * （tokenizer.json と tokenizer_config.json、genai_config.json（省略可）はモデルと同じディレクトリに配置）
+   */
   async initializeModel() {
+    this.isModelLoaded = false;
+    this.loadError = null;
+
     try {
       console.log(`[ONNX-NPU] Initializing model: ${this.modelPath}`);
       console.log(`[ONNX-NPU] Execution providers: ${this.executionProviders.join(', ')}`);
-      
+
       // モデル設定を検出
       this.detectModelConfig();
-      
-      // モデル初期化をシミュレート（実際のONNX Runtimeコードに置き換え）
-      console.log(`[ONNX-NPU] Loading ${this.modelConfig.name} model...`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
+
+      const modelFile = this.resolveModelFile();
+      const modelDirectory = dirname(modelFile);
+      const genaiConfig = this.readJsonFile(join(modelDirectory, 'genai_config.json'));
+      if (genaiConfig?.model?.context_length) {
+        this.modelConfig.maxTokens = genaiConfig.model.context_length;
+      }
+
+      this.activeExecutionProviders = this.resolveExecutionProviders();
+      console.log(`[ONNX-NPU] Loading ${this.modelConfig.name} model from ${modelFile}...`);
+      this.modelSession = await ort.InferenceSession.create(modelFile, {
+        executionProviders: this.activeExecutionProviders,
+        graphOptimizationLevel: 'all'
+      });
+      this.tokenizer = this.loadTokenizer(modelDirectory);
+      this.stopTokenIds = this.resolveStopTokenIds(genaiConfig);
+
       this.isModelLoaded = true;
       console.log(`[ONNX-NPU] ✅ ${this.modelConfig.name} model loaded successfully`);
       console.log(`[ONNX-NPU] 🔧 Model type: ${this.modelConfig.type}`);
       console.log(`[ONNX-NPU] 🌐 Language support: ${this.modelConfig.languages.join(', ')}`);
-      console.log(`[ONNX-NPU] ⚡ Execution providers: ${this.executionProviders.join(', ')}`);
-      
+      console.log(`[ONNX-NPU] ⚡ Execution providers: ${this.activeExecutionProviders.join(', ')}`);
+
     } catch (error) {
+      this.modelSession = null;
+      this.tokenizer = null;
+      this.loadError = error.message;
       console.error('[ONNX-NPU] Model initialization failed:', error);
       throw error;
     }
   }
 
+  /**
+   * 読み込む .onnx ファイルのパスを取得
+   * ディレクトリが指定された場合は genai_config.json の decoder.filename（未記載時は model.onnx）を使用する
+   */
+  resolveModelFile() {
+    const modelPath = resolve(process.cwd(), this.modelPath);
+    if (!fs.existsSync(modelPath)) {
+      throw new Error(`ONNX model not found: ${modelPath} (check ONNX_MODEL_PATH)`);
+    }
+
+    if (!fs.statSync(modelPath).isDirectory()) {
+      return modelPath;
+    }
+
+    const genaiConfig = this.readJsonFile(join(modelPath, 'genai_config.json'));
+    const modelFile = join(modelPath, genaiConfig?.model?.decoder?.filename || 'model.onnx');
+    if (!fs.existsSync(modelFile)) {
+      throw new Error(`ONNX model not found: ${modelFile} (check ONNX_MODEL_PATH)`);
+    }
+    return modelFile;
+  }
+
+  /**
+   * 設定された実行プロバイダーのうち、このプラットフォームの onnxruntime-node で使用できるものを取得
+   * （Linux では dml を使用できないため、dml,cpu の設定は cpu で実行する）
+   */
+  resolveExecutionProviders() {
+    const supported = ort.listSupportedBackends().map(backend => backend.name);
+    const configured = this.executionProviders.map(provider => provider.trim().toLowerCase()).filter(Boolean);
+    const available = configured.filter(provider => supported.includes(provider));
+
+    const unavailable = configured.filter(provider => !supported.includes(provider));
+    if (unavailable.length > 0) {
+      console.warn(`[ONNX-NPU] ⚠️ Skipping execution providers not available on this platform: ${unavailable.join(', ')}`);
+    }
+
+    if (available.length === 0) {
+      throw new Error(`None of the execution providers (${configured.join(', ')}) are available on this platform (supported: ${supported.join(', ')})`);
+    }
+    return available;
+  }
+
+  loadTokenizer(modelDirectory) {
+    const tokenizerJson = this.readJsonFile(join(modelDirectory, 'tokenizer.json'));
+    if (!tokenizerJson) {
+      throw new Error(`Tokenizer not found: ${join(modelDirectory, 'tokenizer.json')} (place tokenizer.json next to the model)`);
+    }
+    const tokenizerConfig = this.readJsonFile(join(modelDirectory, 'tokenizer_config.json')) || {};
+    return new Tokenizer(tokenizerJson, tokenizerConfig);
+  }
+
+  /**
+   * 生成を終了するトークンID（genai_config.json の eos_token_id とプロンプト形式ごとの終了トークン）
+   */
+  resolveStopTokenIds(genaiConfig) {
+    const stopTokenIds = new Set([genaiConfig?.model?.eos_token_id].flat().filter(Number.isInteger));
+    for (const token of this.modelConfig.stopTokens) {
+      const tokenId = this.tokenizer.token_to_id(token);
+      if (tokenId !== undefined) {
+        stopTokenIds.add(tokenId);
+      }
+    }
+    return stopTokenIds;
+  }
+
+  readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
   detectModelConfig() {
     const modelName = this.modelPath.toLowerCase();
     
@@ -167,7 +304,8 @@ export class ONNXNPUServer {
         type: 'chat',
         languages: ['en', 'ja', 'zh', 'ko'],
         maxTokens: 4096,
-        promptFormat: 'phi3'
+        promptFormat: 'phi3',
+        stopTokens: ['<|end|>', '<|endoftext|>']
       };
     } else if (modelName.includes('phi-3-medium')) {
       this.modelConfig = {
@@ -175,7 +313,8 @@ export class ONNXNPUServer {
         type: 'chat',
         languages: ['en', 'ja', 'zh', 'ko'],
         maxTokens: 4096,
-        promptFormat: 'phi3'
+        promptFormat: 'phi3',
+        stopTokens: ['<|end|>', '<|endoftext|>']
       };
     } else if (modelName.includes('llama-2-7b')) {
       this.modelConfig = {
@@ -183,7 +322,8 @@ export class ONNXNPUServer {
         type: 'chat',
         languages: ['en', 'ja'],
         maxTokens: 2048,
-        promptFormat: 'llama2'
+        promptFormat: 'llama2',
+        stopTokens: ['</s>']
       };
     } else if (modelName.includes('tinyllama')) {
       this.modelConfig = {
@@ -191,7 +331,8 @@ export class ONNXNPUServer {
         type: 'chat',
         languages: ['en'],
         maxTokens: 2048,
-        promptFormat: 'llama2'
+        promptFormat: 'llama2',
+        stopTokens: ['</s>']
       };
     } else {
       this.modelConfig = {
@@ -199,31 +340,237 @@ export class ONNXNPUServer {
         type: 'chat',
         languages: ['en'],
         maxTokens: 2048,
-        promptFormat: 'generic'
+        promptFormat: 'generic',
+        stopTokens: []
       };
     }
   }
 
+  /**
+   * プロンプト形式に整形したメッセージをトークン化し、1トークンずつ生成する
+   * @param {Array} messages - チャットメッセージ
+   * @param {Object} options - オプション
+   * @param {number} options.temperature - 0 以下の場合は常に確率が最大のトークンを選択
+   * @param {number} options.max_tokens - 生成する最大トークン数
+   * @param {Object} options.responseFormat - response_format
+   * @returns {Promise<{content: string, promptTokens: number, completionTokens: number, finishReason: string}>}
+   */
   async generateResponse(messages, options = {}) {
     try {
-      // 実際のONNX Runtime推論ロジックに置き換える
-      const prompt = this.formatMessages(messages);
-      
-      // シミュレーションレスポンス
-      const simulatedResponse = this.getSimulatedResponse(messages);
-      
+      const constrainedMessages = this.applyResponseFormat(messages, options.responseFormat);
+      const prompt = this.formatMessages(constrainedMessages);
+      // 特殊トークン（<|user|> など）はプロンプト形式に含まれているため、トークナイザーは BOS などの追加のみ行う
+      const promptIds = this.tokenizer.encode(prompt).ids;
+
+      const contextLength = this.modelConfig.maxTokens;
+      if (promptIds.length >= contextLength) {
+        throw new Error(`Prompt is too long: ${promptIds.length} tokens (context length: ${contextLength})`);
+      }
+      const maxNewTokens = Math.min(options.max_tokens ?? 512, contextLength - promptIds.length);
+
+      const startTime = Date.now();
+      const outputIds = [];
+      let finishReason = 'length';
+      let inputIds = promptIds;
+      let pastKeyValues = this.createEmptyPastKeyValues();
+
+      while (outputIds.length < maxNewTokens) {
+        const totalLength = promptIds.length + outputIds.length;
+        const outputs = await this.modelSession.run(this.buildFeeds(inputIds, totalLength, pastKeyValues));
+        const tokenId = this.sampleNextToken(outputs.logits, options.temperature);
+
+        if (this.stopTokenIds.has(tokenId)) {
+          finishReason = 'stop';
+          break;
+        }
+        outputIds.push(tokenId);
+
+        if (pastKeyValues) {
+          // 2回目以降は KV キャッシュを使用し、生成したトークンのみを入力する
+          pastKeyValues = this.toPastKeyValues(outputs);
+          inputIds = [tokenId];
+        } else {
+          inputIds = [...promptIds, ...outputIds];
+        }
+      }
+
+      const elapsedSeconds = (Date.now() - startTime) / 1000;
+      console.log(`[ONNX-NPU] Generated ${outputIds.length} tokens in ${elapsedSeconds.toFixed(1)}s (prompt: ${promptIds.length} tokens, finish: ${finishReason})`);
+
+      const content = this.tokenizer.decode(outputIds, { skip_special_tokens: true }).trim();
+
       return {
-        content: simulatedResponse,
-        promptTokens: prompt.length / 4, // 大まかな推定
-        completionTokens: simulatedResponse.length / 4
+        content,
+        promptTokens: promptIds.length,
+        completionTokens: outputIds.length,
+        finishReason
       };
-      
+
     } catch (error) {
       console.error('[ONNX-NPU] Generation error:', error);
       throw error;
     }
   }
 
+  /**
+   * KV キャッシュの入力（past_key_values.*）を持つモデルの場合、空のキャッシュを作成
+   * 次元数・型はモデルの入力定義から取得し、バッチは 1、過去のシーケンス長は 0 とする
+   * @returns {Object|null} KV キャッシュを持たないモデルの場合は null
+   */
+  createEmptyPastKeyValues() {
+    const pastInputs = this.modelSession.inputMetadata.filter(input => input.name.startsWith('past_key_values'));
+    if (pastInputs.length === 0) {
+      return null;
+    }
+
+    return Object.fromEntries(pastInputs.map(input => {
+      const dims = input.shape.map((dim, index) => (typeof dim === 'number' && dim >= 0 ? dim : (index === 0 ? 1 : 0)));
+      return [input.name, new ort.Tensor(input.type, input.type === 'float16' ? new Uint16Array(0) : new Float32Array(0), dims)];
+    }));
+  }
+
+  /**
+   * モデルの出力（present.*）を次の推論の past_key_values.* に変換
+   */
+  toPastKeyValues(outputs) {
+    const pastKeyValues = {};
+    for (const [name, tensor] of Object.entries(outputs)) {
+      const pastName = name.replace(/^present(_key_values)?/, 'past_key_values');
+      if (pastName !== name && this.modelSession.inputNames.includes(pastName)) {
+        pastKeyValues[pastName] = tensor;
+      }
+    }
+    return pastKeyValues;
+  }
+
+  buildFeeds(inputIds, totalLength, pastKeyValues) {
+    const feeds = {
+      input_ids: this.createIndexTensor('input_ids', inputIds, [1, inputIds.length]),
+      ...pastKeyValues
+    };
+
+    if (this.modelSession.inputNames.includes('attention_mask')) {
+      feeds.attention_mask = this.createIndexTensor('attention_mask', new Array(totalLength).fill(1), [1, totalLength]);
+    }
+
+    if (this.modelSession.inputNames.includes('position_ids')) {
+      const startPosition = totalLength - inputIds.length;
+      const positions = inputIds.map((_, index) => startPosition + index);
+      feeds.position_ids = this.createIndexTensor('position_ids', positions, [1, positions.length]);
+    }
+
+    return feeds;
+  }
+
+  /**
+   * 入力定義の型（int32 / int64）に合わせて整数のテンソルを作成
+   */
+  createIndexTensor(name, values, dims) {
+    const type = this.modelSession.inputMetadata.find(input => input.name === name)?.type;
+    if (type === 'int32') {
+      return new ort.Tensor('int32', Int32Array.from(values), dims);
+    }
+    return new ort.Tensor('int64', BigInt64Array.from(values, BigInt), dims);
+  }
+
+  /**
+   * 最後の位置の logits から次のトークンを選択
+   * temperature が 0 以下の場合は確率が最大のトークン、それ以外は temperature で調整した確率分布からサンプリングする
+   */
+  sampleNextToken(logitsTensor, temperature = 0) {
+    const vocabSize = logitsTensor.dims[logitsTensor.dims.length - 1];
+    const offset = logitsTensor.data.length - vocabSize;
+    const logits = Array.from(logitsTensor.data.subarray(offset),
+      value => (logitsTensor.type === 'float16' ? this.float16ToNumber(value) : value));
+
+    let maxIndex = 0;
+    for (let i = 1; i < vocabSize; i++) {
+      if (logits[i] > logits[maxIndex]) {
+        maxIndex = i;
+      }
+    }
+    if (!(temperature > 0)) {
+      return maxIndex;
+    }
+
+    const weights = logits.map(logit => Math.exp((logit - logits[maxIndex]) / temperature));
+    let threshold = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < vocabSize; i++) {
+      threshold -= weights[i];
+      if (threshold <= 0) {
+        return i;
+      }
+    }
+    return maxIndex;
+  }
+
+  /**
+   * float16 のテンソルデータ（Uint16Array の値）を数値に変換
+   */
+  float16ToNumber(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
+    if (exponent === 0) {
+      return sign * 2 ** -14 * (fraction / 1024);
+    }
+    if (exponent === 0x1f) {
+      return fraction ? NaN : sign * Infinity;
+    }
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+  }
+
+  /**
+   * response_format（json_object / json_schema）が指定された場合、出力形式の指示をシステムメッセージとして追加
+   */
+  applyResponseFormat(messages, responseFormat) {
+    if (responseFormat?.type === 'json_schema' && responseFormat.json_schema?.schema) {
+      return [{
+        role: 'system',
+        content: `次の JSON スキーマに従った JSON オブジェクトのみを出力してください。説明文やコードブロックは含めないでください。\n${JSON.stringify(responseFormat.json_schema.schema)}`
+      }, ...messages];
+    }
+
+    if (responseFormat?.type === 'json_object') {
+      return [{ role: 'system', content: 'JSON オブジェクトのみを出力してください。' }, ...messages];
+    }
+
+    return messages;
+  }
+
+  /**
+   * 生成結果を response_format で検証し、JSON オブジェクト部分（前後の文字列を除去したもの）を返す
+   * サンプリングはスキーマで制約していないため、形式に合わない場合は ResponseFormatError を投げて呼び出し元に再問い合わせさせる
+   * @throws {ResponseFormatError} JSON オブジェクトを含まない、JSON として不正、またはスキーマに一致しない場合
+   */
+  validateResponseFormat(content, responseFormat) {
+    if (!['json_object', 'json_schema'].includes(responseFormat?.type)) {
+      return content;
+    }
+
+    const jsonText = JsonResponseParser.extractJsonObject(content);
+    if (!jsonText) {
+      throw new ResponseFormatError('Output does not contain a JSON object', content);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
+    } catch (error) {
+      throw new ResponseFormatError(`Output is not valid JSON: ${error.message}`, content, [error.message]);
+    }
+
+    const schema = responseFormat.json_schema?.schema;
+    if (schema) {
+      const errors = JsonResponseParser.validate(parsed, schema);
+      if (errors.length > 0) {
+        throw new ResponseFormatError(`Output does not match the response_format schema: ${errors.join('; ')}`, content, errors);
+      }
+    }
+
+    return jsonText;
+  }
+
   formatMessages(messages) {
     const format = this.modelConfig?.promptFormat || 'phi3';
     
@@ -283,35 +630,16 @@ export class ONNXNPUServer {
     return prompt;
   }
 
-  getSimulatedResponse(messages) {
-    const userMessage = messages[messages.length - 1];
-    const content = userMessage.content.toLowerCase();
-
-    // クレーム判定のシミュレーション
-    if (content.includes('クレーム') || content.includes('判定')) {
-      return JSON.stringify({
-        isClaim: content.includes('困っている') || content.includes('問題') || content.includes('不満'),
-        confidence: Math.floor(Math.random() * 40) + 60,
-        category: content.includes('回答') ? 'answer quality' : 'other',
-        severity: 'medium',
-        reason: 'NPUによる高速クレーム判定を実行しました',
-        keywords: ['NPU', '高速処理'],
-        summary: 'ONNX Runtime NPUによる分析結果'
-      }, null, 2);
-    }
-
-    return 'ONNX Runtime NPUサーバーが正常に動作しています。高速なローカル推論が可能です。';
-  }
-
+  /**
+   * サーバーを起動してからモデルを読み込む
+   * モデルを読み込めなかった場合もサーバーは停止せず、/health で読み込みに失敗した理由を返す
+   */
   async start() {
     try {
       console.log('[ONNX-NPU] Starting ONNX NPU Server...');
       
-      // モデル初期化
-      await this.initializeModel();
-      
       // サーバー開始
-      return new Promise((resolve, reject) => {
+      await new Promise((resolve, reject) => {
         this.server = this.app.listen(this.port, (error) => {
           if (error) {
             reject(error);
@@ -329,6 +657,13 @@ export class ONNXNPUServer {
       console.error('[ONNX-NPU] Failed to start server:', error);
       throw error;
     }
+
+    // モデル初期化（失敗時の理由は loadError に保持される）
+    try {
+      await this.initializeModel();
+    } catch (error) {
+      console.error(`[ONNX-NPU] ❌ Model is not available, health check will report an error: ${error.message}`);
+    }
   }
 
   async stop() {
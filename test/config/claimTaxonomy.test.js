@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClaimTaxonomy } from '../../src/config/claimTaxonomy.js';
+
+function createDefinition(overrides = {}) {
+  return {
+    categories: [
+      { id: 'billing', label: '請求', description: '請求内容への不満' },
+      { id: 'other', label: 'その他', description: '上記以外' }
+    ],
+    severities: [
+      { id: 'low', label: '低', icon: '🟢' },
+      { id: 'high', label: '高', icon: '🔴' }
+    ],
+    keywords: ['請求'],
+    fallbackCategory: 'other',
+    fallbackSeverity: 'low',
+    ...overrides
+  };
+}
+
+test('正しい分類は検証エラーがない', () => {
+  assert.deepEqual(new ClaimTaxonomy(createDefinition()).validate(), []);
+});
+
+test('同梱の分類ファイルは検証エラーがない', () => {
+  const taxonomy = ClaimTaxonomy.load('src/config/claimTaxonomy.json');
+  assert.ok(taxonomy.categoryIds.includes('answer delay'));
+});
+
+test('カテゴリ・重要度が空の場合はエラー', () => {
+  const errors = new ClaimTaxonomy(createDefinition({ categories: [], severities: undefined })).validate();
+  assert.deepEqual(errors, ['categories must be a non-empty array', 'severities must be a non-empty array']);
+});
+
+test('ID がない・重複している場合はエラー', () => {
+  const errors = new ClaimTaxonomy(createDefinition({
+    categories: [{ id: 'other' }, { id: 'other' }],
+    severities: [{ label: '低' }]
+  })).validate();
+
+  assert.deepEqual(errors, ['categories contains duplicate ids', 'every entry in severities must have an id']);
+});
+
+test('分類にない fallbackCategory / fallbackSeverity はエラー', () => {
+  const errors = new ClaimTaxonomy(createDefinition({ fallbackCategory: 'unknown', fallbackSeverity: 'medium' })).validate();
+
+  assert.deepEqual(errors, [
+    'fallbackCategory "unknown" is not defined in categories',
+    'fallbackSeverity "medium" is not defined in severities'
+  ]);
+});
+
+test('不正な分類ファイルは読み込み時にエラー', () => {
+  assert.throws(() => ClaimTaxonomy.load('test/config/missing.json'), /Claim taxonomy not found/);
+});
+
+test('カテゴリは ID・表示名のどちらでも大文字小文字・前後の空白を区別せずに解決する', () => {
+  const taxonomy = new ClaimTaxonomy(createDefinition());
+
+  assert.equal(taxonomy.resolveCategory('BILLING'), 'billing');
+  assert.equal(taxonomy.resolveCategory(' 請求 '), 'billing');
+  assert.equal(taxonomy.resolveCategory('unknown'), null);
+  assert.equal(taxonomy.resolveCategory(undefined), null);
+});
+
+test('重要度は ID・表示名のどちらでも解決する', () => {
+  const taxonomy = new ClaimTaxonomy(createDefinition());
+
+  assert.equal(taxonomy.resolveSeverity('High'), 'high');
+  assert.equal(taxonomy.resolveSeverity('低'), 'low');
+  assert.equal(taxonomy.resolveSeverity('medium'), null);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePromptConfig } from '../../src/config/config.js';
+import { ClaimTaxonomy } from '../../src/config/claimTaxonomy.js';
+
+const builtInTaxonomy = ClaimTaxonomy.load('src/config/claimTaxonomy.json');
+const customTaxonomy = new ClaimTaxonomy({
+  categories: [{ id: 'billing' }, { id: 'other' }],
+  severities: [{ id: 'low' }, { id: 'high' }],
+  fallbackCategory: 'other',
+  fallbackSeverity: 'low'
+});
+
+test('v1 は同梱の分類であれば使用できる', () => {
+  assert.doesNotThrow(() => validatePromptConfig({ version: 'v1' }, builtInTaxonomy));
+});
+
+test('v1 を分類の変更後に使用すると起動時にエラー', () => {
+  assert.throws(() => validatePromptConfig({ version: 'v1' }, customTaxonomy), /PROMPT_VERSION=v1/);
+});
+
+test('v2 は分類を変更しても使用できる', () => {
+  assert.doesNotThrow(() => validatePromptConfig({ version: 'v2' }, customTaxonomy));
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenRateLimiter } from '../../../src/infrastructure/ai/tokenRateLimiter.js';
+
+test('上限に達して待機中のリクエストは中断時に reject され、使用量に記録されない', async () => {
+  const limiter = new TokenRateLimiter(100);
+  await limiter.acquire(100);
+
+  const controller = new AbortController();
+  const waiting = limiter.acquire(50, controller.signal);
+  setTimeout(() => controller.abort(new Error('cancelled')), 20);
+
+  await assert.rejects(waiting, /cancelled/);
+  assert.equal(limiter.entries.length, 1);
+});
+
+test('429 による停止中のリクエストも中断時に reject される', async () => {
+  const limiter = new TokenRateLimiter(0);
+  limiter.pause(60000);
+
+  const controller = new AbortController();
+  const waiting = limiter.acquire(10, controller.signal);
+  setTimeout(() => controller.abort(new Error('cancelled')), 20);
+
+  await assert.rejects(waiting, /cancelled/);
+});
+
+test('順番待ちのリクエストは先のリクエストの待機を待たずに中断できる', async () => {
+  const limiter = new TokenRateLimiter(100);
+  await limiter.acquire(100);
+
+  const first = new AbortController();
+  const second = new AbortController();
+  const firstWaiting = limiter.acquire(50, first.signal);
+  const secondWaiting = limiter.acquire(50, second.signal);
+  setTimeout(() => second.abort(new Error('second cancelled')), 20);
+
+  await assert.rejects(secondWaiting, /second cancelled/);
+
+  first.abort(new Error('first cancelled'));
+  await assert.rejects(firstWaiting, /first cancelled/);
+  assert.equal(limiter.entries.length, 1);
+});
+
+test('中断済みのシグナルでは待機せずに reject される', async () => {
+  const limiter = new TokenRateLimiter(100);
+  const controller = new AbortController();
+  controller.abort(new Error('already cancelled'));
+
+  await assert.rejects(limiter.acquire(10, controller.signal), /already cancelled/);
+  assert.equal(limiter.entries.length, 0);
+});
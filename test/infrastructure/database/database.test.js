@@ -0,0 +1,81 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Database } from '../../../src/infrastructure/database/database.js';
+import { config } from '../../../src/config/config.js';
+
+let database;
+
+beforeEach(async () => {
+  config.database.path = ':memory:';
+  database = new Database();
+  await database.initialize();
+});
+
+afterEach(async () => {
+  await database.close();
+});
+
+/**
+ * スレッドに紐付けてメールを保存（ClaimDetectionOrchestrator.saveEmailWithThread と同じ手順）
+ */
+async function saveEmailWithThread(email) {
+  email.threadId = await database.upsertThread(email);
+  return await database.saveEmail(email);
+}
+
+function createEmail(id, mailboxSource, receivedDateTime, conversationId = 'conversation-1') {
+  return {
+    id,
+    subject: `件名 ${id}`,
+    from: { emailAddress: { address: 'customer@example.com', name: '顧客' } },
+    receivedDateTime,
+    bodyContent: `本文 ${id}`,
+    mailboxSource,
+    conversationId
+  };
+}
+
+test('同じ会話IDでもメールボックスごとに別のスレッドになる', async () => {
+  const personal = createEmail('personal-1', 'me@example.com', '2024-01-01T00:00:00Z');
+  const shared = createEmail('shared-1', 'team@example.com', '2024-01-01T00:00:00Z');
+  await saveEmailWithThread(personal);
+  await saveEmailWithThread(shared);
+
+  assert.notEqual(personal.threadId, shared.threadId);
+});
+
+test('スレッド履歴には他のメールボックスに届いた同じ会話のメールを含めない', async () => {
+  await saveEmailWithThread(createEmail('personal-1', 'me@example.com', '2024-01-01T00:00:00Z'));
+  await saveEmailWithThread(createEmail('shared-1', 'team@example.com', '2024-01-01T00:00:00Z'));
+  await saveEmailWithThread(createEmail('shared-2', 'team@example.com', '2024-01-02T00:00:00Z'));
+  const current = createEmail('personal-2', 'me@example.com', '2024-01-03T00:00:00Z');
+  await saveEmailWithThread(current);
+
+  const history = await database.getThreadHistory(current.threadId, current.receivedDateTime, current.id, 5);
+
+  assert.deepEqual(history.map(row => row.email_id), ['personal-1']);
+});
+
+test('破棄したメールで更新したスレッドの受信日時は、残っているメールから作り直す', async () => {
+  const first = createEmail('personal-1', 'me@example.com', '2024-01-01T00:00:00Z');
+  const second = createEmail('personal-2', 'me@example.com', '2024-01-05T00:00:00Z');
+  await saveEmailWithThread(first);
+  const secondRowId = await saveEmailWithThread(second);
+
+  await database.discardEmails([secondRowId]);
+
+  const thread = await database.getThreadByConversationId('conversation-1', 'me@example.com');
+  assert.equal(thread.first_received_at, '2024-01-01T00:00:00.000Z');
+  assert.equal(thread.last_received_at, '2024-01-01T00:00:00.000Z');
+  assert.equal(await database.isEmailProcessed('personal-2'), false);
+});
+
+test('破棄したメールしかないスレッドは削除する', async () => {
+  const rowId = await saveEmailWithThread(createEmail('shared-1', 'team@example.com', '2024-01-01T00:00:00Z', 'conversation-2'));
+  await saveEmailWithThread(createEmail('personal-1', 'me@example.com', '2024-01-01T00:00:00Z'));
+
+  await database.discardEmails([rowId]);
+
+  assert.equal(await database.getThreadByConversationId('conversation-2', 'team@example.com'), null);
+  assert.notEqual(await database.getThreadByConversationId('conversation-1', 'me@example.com'), null);
+});
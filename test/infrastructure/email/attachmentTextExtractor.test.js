@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { AttachmentTextExtractor } from '../../../src/infrastructure/email/attachmentTextExtractor.js';
+import { config } from '../../../src/config/config.js';
+
+/**
+ * 指定したエントリを Deflate で圧縮した ZIP アーカイブを作成
+ * @param {Array<{name: string, content: string, declaredSize?: number}>} entries - declaredSize で展開後のサイズを偽装できる
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, content, declaredSize } of entries) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const uncompressedSize = declaredSize ?? Buffer.byteLength(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(uncompressedSize, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(uncompressedSize, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, eocd]);
+}
+
+function fileAttachment(name, buffer) {
+  return {
+    '@odata.type': '#microsoft.graph.fileAttachment',
+    name,
+    contentBytes: buffer.toString('base64')
+  };
+}
+
+const documentXml = text => `<w:document><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`;
+// ATTACHMENT_MAX_SIZE_MB を超える大きさに展開される XML（圧縮後は数KB）
+const oversizedXml = () => `<x>${' '.repeat(config.analysis.attachmentMaxSizeMB * 1024 * 1024 + 1)}</x>`;
+
+test('docx の本文を抽出する', () => {
+  const zip = createZip([{ name: 'word/document.xml', content: documentXml('製品が動きません') }]);
+  assert.equal(AttachmentTextExtractor.extract(fileAttachment('report.docx', zip)), '製品が動きません');
+});
+
+test('展開後のサイズが上限を超えると宣言されたエントリは展開しない', () => {
+  const zip = createZip([{ name: 'word/document.xml', content: oversizedXml() }]);
+  assert.equal(AttachmentTextExtractor.extract(fileAttachment('bomb.docx', zip)), '');
+});
+
+test('展開後のサイズを偽装したエントリも上限で展開を打ち切る', () => {
+  const zip = createZip([{ name: 'word/document.xml', content: oversizedXml(), declaredSize: 100 }]);
+  assert.equal(AttachmentTextExtractor.extract(fileAttachment('bomb.docx', zip)), '');
+});
+
+test('テキストを抽出しないエントリは展開しない', () => {
+  const zip = createZip([
+    { name: 'word/styles.xml', content: oversizedXml(), declaredSize: 100 },
+    { name: 'word/document.xml', content: documentXml('本文') }
+  ]);
+  assert.equal(AttachmentTextExtractor.extract(fileAttachment('report.docx', zip)), '本文');
+});
+
+test('xlsx は共有文字列とシートのみを読み込む', () => {
+  const zip = createZip([
+    { name: 'xl/sharedStrings.xml', content: '<sst><si><t>注文番号</t></si><si><t>未着</t></si></sst>' },
+    { name: 'xl/worksheets/sheet1.xml', content: '<worksheet><sheetData><row><c t="s"><v>0</v></c><c t="s"><v>1</v></c></row></sheetData></worksheet>' },
+    { name: 'xl/media/bomb.xml', content: oversizedXml(), declaredSize: 100 }
+  ]);
+  assert.equal(AttachmentTextExtractor.extract(fileAttachment('orders.xlsx', zip)), '注文番号 | 未着');
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailBodyCleaner } from '../../../src/infrastructure/email/emailBodyCleaner.js';
+
+test('短いメールの本文中の「機密情報」は免責事項とみなさない', () => {
+  const text = '山田です。\n御社から私の機密情報が漏洩しました。\n至急説明してください。';
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, text);
+  assert.equal(result.signature, '');
+});
+
+test('連絡先を含まない区切り線以降は署名とみなさない', () => {
+  const text = '問題があります。\n--------\n注文番号: 123\n届いていません';
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, text);
+  assert.equal(result.signature, '');
+});
+
+test('区切り線以降が連絡先を含む短いブロックの場合は署名として分離する', () => {
+  const text = [
+    '先日購入した製品が起動しません。',
+    '交換をお願いします。',
+    '',
+    '━━━━━━━━━━━━━━━━',
+    '株式会社サンプル 購買部',
+    '山田 太郎',
+    'TEL: 03-1234-5678',
+    'yamada@example.co.jp',
+    '━━━━━━━━━━━━━━━━'
+  ].join('\n');
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, '先日購入した製品が起動しません。\n交換をお願いします。');
+  assert.match(result.signature, /^━+\n株式会社サンプル/);
+});
+
+test('署名の後の免責事項も署名に含める', () => {
+  const text = [
+    'The invoice amount is wrong again.',
+    'Please fix it by Friday.',
+    '==========',
+    'John Smith | Example Inc.',
+    'john@example.com',
+    'This email and any attachments are confidential and intended only for the named recipient.',
+    'If you have received this email in error, please notify the sender and delete it.',
+    'Any unauthorized use or disclosure is prohibited.',
+    'Our offices are closed on public holidays.',
+    'Registered in England and Wales.',
+    'Company number 0000000.',
+    'VAT number GB000000000.',
+    'Registered office: 1 Example Street, London.'
+  ].join('\n');
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, 'The invoice amount is wrong again.\nPlease fix it by Friday.');
+  assert.match(result.signature, /^==========\nJohn Smith/);
+});
+
+test('末尾の免責事項を分離する', () => {
+  const text = [
+    '回答が遅すぎます。改善を求めます。',
+    '',
+    '本メールには機密情報が含まれている場合があります。',
+    '誤って受信された場合は、送信者にご連絡のうえ削除してください。'
+  ].join('\n');
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, '回答が遅すぎます。改善を求めます。');
+  assert.match(result.signature, /^本メールには機密情報/);
+});
+
+test('本文が残らない位置の区切り線・免責事項は署名とみなさない', () => {
+  const text = '返金して\n----------\nTEL: 03-1234-5678';
+  assert.equal(EmailBodyCleaner.clean(text).newContent, text);
+});
+
+test('"--" の署名区切りとモバイル署名は位置に関係なく署名とみなす', () => {
+  assert.equal(EmailBodyCleaner.clean('届いていません\n-- \n山田').newContent, '届いていません');
+  assert.equal(EmailBodyCleaner.clean('届いていません\niPhoneから送信').newContent, '届いていません');
+});
+
+test('"On ... wrote:" は直後に引用行が続く場合のみ引用部分とみなす', () => {
+  const quoted = 'Still broken.\n\nOn Mon, May 6, 2024 at 10:00 AM Support <support@example.com> wrote:\n> Please restart the device.\n> Regards';
+  const result = EmailBodyCleaner.clean(quoted);
+  assert.equal(result.newContent, 'Still broken.');
+  assert.match(result.quotedText, /^On Mon/);
+
+  const lines = Array.from({ length: 13 }, (_, index) => `Line ${index + 1} of the complaint.`);
+  const notQuoted = [...lines, 'On Friday my colleague wrote:', 'the order number twice and it is still missing.'].join('\n');
+  assert.equal(EmailBodyCleaner.clean(notQuoted).newContent, notQuoted);
+});
+
+test('日本語の引用元の紹介行と "> " の引用行を分離する', () => {
+  const text = '対応が遅いです。\n\n2024年5月1日(水) 10:00 サポート <support@example.com>:\n> 確認いたします。';
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, '対応が遅いです。');
+  assert.match(result.quotedText, /^2024年5月1日/);
+});
+
+test('Outlook の差出人・送信日時ヘッダー以降を引用部分とみなす', () => {
+  const text = '先日の回答では解決しませんでした。\n\n差出人: サポート <support@example.com>\n送信日時: 2024年5月1日 10:00\n件名: RE: 不具合\n\n再起動をお試しください。';
+  const result = EmailBodyCleaner.clean(text);
+  assert.equal(result.newContent, '先日の回答では解決しませんでした。');
+  assert.match(result.quotedText, /再起動をお試しください。$/);
+});
+
+test('HTML本文を Outlook の divRplyFwdMsg の位置で分割する', () => {
+  const html = '<div><p>解決していません</p></div><div id="divRplyFwdMsg" dir="ltr"><b>From:</b> Support</div><div>old</div>';
+  const { newHtml, quotedHtml } = EmailBodyCleaner.splitHtmlQuote(html);
+  assert.equal(newHtml, '<div><p>解決していません</p></div>');
+  assert.match(quotedHtml, /^<div id="divRplyFwdMsg"/);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GraphRetryHandler } from '../../../src/infrastructure/email/graphRetryHandler.js';
+
+/**
+ * 指定したレスポンス（またはエラー）を順番に返す次のミドルウェアを設定したハンドラーを作成
+ * @param {Array<{status?: number, headers?: Object, error?: Error}>} results - 各試行の結果
+ */
+function createHandler(results) {
+  const handler = new GraphRetryHandler({ maxRetries: 3 });
+  handler.sleep = async () => {};
+  const calls = { count: 0 };
+
+  handler.setNext({
+    async execute(context) {
+      const result = results[Math.min(calls.count, results.length - 1)];
+      calls.count++;
+      if (result.error) {
+        throw result.error;
+      }
+      context.response = new Response(null, { status: result.status, headers: result.headers });
+    }
+  });
+
+  return { handler, calls };
+}
+
+function createContext(method, path = '/users/me@example.com/messages/AAA/move') {
+  return {
+    request: `https://graph.microsoft.com/v1.0${path}`,
+    options: { method, body: method === 'GET' ? undefined : '{}' }
+  };
+}
+
+function createNetworkError() {
+  const error = new Error('socket hang up');
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+test('GET は 5xx をリトライする', async () => {
+  const { handler, calls } = createHandler([{ status: 504 }, { status: 200 }]);
+  const context = createContext('GET', '/users/me@example.com/messages');
+
+  await handler.execute(context);
+
+  assert.equal(calls.count, 2);
+  assert.equal(context.response.status, 200);
+});
+
+test('PATCH はネットワークエラーをリトライする', async () => {
+  const { handler, calls } = createHandler([{ error: createNetworkError() }, { status: 200 }]);
+
+  await handler.execute(createContext('PATCH', '/users/me@example.com/messages/AAA'));
+
+  assert.equal(calls.count, 2);
+});
+
+test('POST（move）は 504 を再送せずにそのまま返す', async () => {
+  const { handler, calls } = createHandler([{ status: 504 }, { status: 201 }]);
+  const context = createContext('POST');
+
+  await handler.execute(context);
+
+  assert.equal(calls.count, 1);
+  assert.equal(context.response.status, 504);
+});
+
+test('POST はネットワークエラーを再送せずにそのまま投げる', async () => {
+  const { handler, calls } = createHandler([{ error: createNetworkError() }, { status: 201 }]);
+
+  await assert.rejects(handler.execute(createContext('POST')), /socket hang up/);
+  assert.equal(calls.count, 1);
+});
+
+test('POST は 429 をリトライする', async () => {
+  const { handler, calls } = createHandler([{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 }]);
+
+  await handler.execute(createContext('POST', '/$batch'));
+
+  assert.equal(calls.count, 2);
+  assert.equal(handler.getStats().throttled, 1);
+});
+
+test('POST は Retry-After 付きの 503 のみリトライする', async () => {
+  const withRetryAfter = createHandler([{ status: 503, headers: { 'Retry-After': '1' } }, { status: 201 }]);
+  await withRetryAfter.handler.execute(createContext('POST'));
+  assert.equal(withRetryAfter.calls.count, 2);
+
+  const withoutRetryAfter = createHandler([{ status: 503 }, { status: 201 }]);
+  await withoutRetryAfter.handler.execute(createContext('POST'));
+  assert.equal(withoutRetryAfter.calls.count, 1);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HtmlToTextConverter } from '../../../src/infrastructure/email/htmlToTextConverter.js';
+
+const fixturesDirectory = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/html');
+
+// test/fixtures/html/<名前>.html を変換した結果が <名前>.txt と一致することを確認
+for (const fileName of fs.readdirSync(fixturesDirectory).filter(name => name.endsWith('.html'))) {
+  test(`fixture: ${fileName}`, () => {
+    const html = fs.readFileSync(path.join(fixturesDirectory, fileName), 'utf8');
+    const expected = fs.readFileSync(path.join(fixturesDirectory, fileName.replace(/\.html$/, '.txt')), 'utf8');
+    assert.equal(HtmlToTextConverter.convert(html), expected.replace(/\r\n/g, '\n').trimEnd());
+  });
+}
+
+test('空の本文は空文字列を返す', () => {
+  assert.equal(HtmlToTextConverter.convert(''), '');
+  assert.equal(HtmlToTextConverter.convert(null), '');
+});
+
+test('style / script / コメントの内容を含めない', () => {
+  const text = HtmlToTextConverter.convert('<style>p { color: red; }</style><script>alert(1)</script><!-- note --><p>本文</p>');
+  assert.equal(text, '本文');
+});
+
+test('非表示の要素は入れ子になっていても終了タグまで読み飛ばす', () => {
+  const text = HtmlToTextConverter.convert('<div style="display:none"><div>隠し</div>プレヘッダー</div><div>表示</div>');
+  assert.equal(text, '表示');
+});
+
+test('セル内の段落は1行にまとめ、入れ子の表は行ごとに改行する', () => {
+  const html = '<table><tr><td><p>外側</p><table><tr><td>A</td><td>B</td></tr><tr><td>C</td><td>D</td></tr></table></td></tr></table>';
+  assert.equal(HtmlToTextConverter.convert(html), '外側\nA | B\nC | D');
+});